@@ -0,0 +1,74 @@
+// Captures an HTML page (usually a debugHtml dump) as an extractor fixture and records its expected output.
+//
+//   npm run fixtures:capture -- <listing|profile> <name> --url <pageUrl> --key DEBUG_NO_RESULTS_3
+//   npm run fixtures:capture -- <listing|profile> <name> --url <pageUrl> --file ./page.html
+//   npm run fixtures:capture -- --update    (re-record expected output of every fixture after an intended change)
+import { copyFileSync, existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { log } from 'apify';
+
+import { FIXTURE_TYPES, FIXTURES_DIR, listFixtures, runExtractorAt } from '../test/helpers/fixtures.js';
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        url: { type: 'string' },
+        key: { type: 'string' },
+        file: { type: 'string' },
+        storage: { type: 'string', default: process.env.CRAWLEE_STORAGE_DIR || process.env.APIFY_LOCAL_STORAGE_DIR || 'storage' },
+        update: { type: 'boolean', default: false },
+    },
+});
+
+function writeExpected(expectedPath, { url, capturedAt, type, html }) {
+    const output = runExtractorAt(capturedAt, type, html, url);
+    writeFileSync(expectedPath, `${JSON.stringify({ url, capturedAt, output }, null, 4)}\n`);
+    return output;
+}
+
+function updateAll() {
+    for (const fixture of listFixtures()) {
+        if (!existsSync(fixture.expectedPath)) {
+            log.warning(`Skipping ${fixture.name}: no expected file to take url/capturedAt from`);
+            continue;
+        }
+        const { url, capturedAt } = JSON.parse(readFileSync(fixture.expectedPath, 'utf-8'));
+        const html = readFileSync(fixture.htmlPath, 'utf-8');
+        writeExpected(fixture.expectedPath, { url, capturedAt, type: fixture.type, html });
+        log.info(`Updated ${fixture.name}.expected.json`);
+    }
+}
+
+function capture() {
+    const [type, name] = positionals;
+    if (!FIXTURE_TYPES.includes(type) || !name) {
+        throw new Error(`Usage: capture-fixture.js <${FIXTURE_TYPES.join('|')}> <name> --url <url> (--key <key> | --file <path>)`);
+    }
+    if (!values.url) throw new Error('--url is required so relative links resolve like they did during the crawl');
+
+    // saveDebugHtml stores pages as text/html records in the default key-value store
+    const source = values.file || join(values.storage, 'key_value_stores', 'default', `${values.key}.html`);
+    if (!values.file && !values.key) throw new Error('Pass --key <debug record key> or --file <path>');
+    if (!existsSync(source)) throw new Error(`HTML not found: ${source}`);
+
+    const fixtureName = `${type}-${name}`;
+    const htmlPath = join(FIXTURES_DIR, `${fixtureName}.html`);
+    copyFileSync(source, htmlPath);
+
+    const output = writeExpected(join(FIXTURES_DIR, `${fixtureName}.expected.json`), {
+        url: values.url,
+        capturedAt: new Date().toISOString(),
+        type,
+        html: readFileSync(htmlPath, 'utf-8'),
+    });
+    const count = type === 'listing' ? `${output.lawyers.length} lawyers via ${output.source}` : output?.name;
+    log.info(`Captured ${fixtureName} (${count}) - review the expected file before committing`);
+}
+
+if (values.update) {
+    updateAll();
+} else {
+    capture();
+}
@@ -0,0 +1,164 @@
+import { extractJsonLdObjects } from './structured-data.js';
+import { normalizeArray, normalizeDate, normalizeText, normalizeUrl, pickAttrValue, pickFirst, toInt } from './utils.js';
+
+// Record key of the crawled answers while a lawyer is being processed; they always end up in
+// their own dataset, never in the lawyer record
+export const ANSWERS_FIELD = 'answers';
+
+export function withoutAnswers(lawyer) {
+    return Object.fromEntries(Object.entries(lawyer).filter(([field]) => field !== ANSWERS_FIELD));
+}
+
+function countOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const count = toInt(value);
+    return String(value).match(/\d/) ? count : null;
+}
+
+// Q&A counts from structured data; unknown counts stay null so "no data" is not read as "no answers"
+export function normalizeAnswerStats(raw) {
+    const source = raw || {};
+    const nested = source.answerStats || source.legalAnswers || {};
+    return {
+        answersCount: countOrNull(pickFirst(source.answersCount, source.answerCount, nested.answersCount, nested.count)),
+        bestAnswersCount: countOrNull(pickFirst(source.bestAnswersCount, source.bestAnswerCount, nested.bestAnswersCount)),
+        helpfulVotes: countOrNull(pickFirst(source.helpfulVotes, source.helpfulVoteCount, nested.helpfulVotes)),
+    };
+}
+
+// "Legal answers: 1,234" and "1,234 Legal answers". A bare "Legal answers 1,234" is only read
+// last and only inside the contributions block, since elsewhere the number may belong to anything.
+function countNearLabel(text, label, { loose }) {
+    const match = text.match(new RegExp(`${label}\\s*:\\s*(\\d[\\d,]*)`, 'i'))
+        || text.match(new RegExp(`(\\d[\\d,]*)\\s+${label}`, 'i'))
+        || (loose && text.match(new RegExp(`${label}\\s+(\\d[\\d,]*)`, 'i')));
+    return countOrNull(match?.[1]);
+}
+
+// Text nodes joined with spaces, so adjacent badges ("<span>12 answers</span><span>3 best answers</span>") stay apart
+function spacedText($el) {
+    return normalizeText($el.find('*').addBack().contents().toArray()
+        .filter((node) => node.type === 'text')
+        .map((node) => node.data)
+        .join(' '));
+}
+
+// The contributions block of a profile page, falling back to the whole page text
+export function extractAnswerStatsFromHtml($) {
+    const section = $('[data-testid="legal-answers"], .legal-answers, .contributions, [class*="contributions"]').first();
+    const text = spacedText(section.length ? section : $('body'));
+    const labelled = (label) => countNearLabel(text, label, { loose: section.length > 0 });
+    const counted = (selector) => countOrNull(normalizeText($(selector).first().text()));
+
+    return {
+        answersCount: pickFirst(
+            counted('[data-testid="answers-count"], .answers-count'),
+            labelled('(?<!best\\s)(?:legal\\s+)?answers\\b')
+        ),
+        bestAnswersCount: pickFirst(
+            counted('[data-testid="best-answers-count"], .best-answers-count'),
+            labelled('best\\s+answers?\\b')
+        ),
+        helpfulVotes: pickFirst(
+            counted('[data-testid="helpful-votes"], .helpful-votes'),
+            labelled('helpful\\s+votes?\\b')
+        ),
+    };
+}
+
+export function normalizeAnswer(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const answer = {
+        questionTitle: normalizeText(pickFirst(raw.questionTitle, raw.title, raw.name)),
+        questionUrl: normalizeText(pickFirst(raw.questionUrl, raw.url)),
+        topic: normalizeText(pickFirst(raw.topic, raw.practiceArea, typeof raw.about === 'object' ? raw.about?.name : raw.about)),
+        date: normalizeDate(pickFirst(raw.date, raw.dateCreated, raw.datePublished, raw.answeredAt)),
+        answerText: normalizeText(pickFirst(raw.answerText, raw.text, raw.body)),
+        helpfulCount: toInt(pickFirst(raw.helpfulCount, raw.upvoteCount, raw.helpfulVotes)),
+        bestAnswer: Boolean(raw.bestAnswer),
+    };
+    return answer.questionTitle || answer.answerText ? answer : null;
+}
+
+// schema.org Question nodes carry the lawyer's answer as acceptedAnswer (best answer) or suggestedAnswer
+function answerFromQuestionNode(node, baseUrl) {
+    const accepted = normalizeArray(node.acceptedAnswer)[0];
+    const reply = accepted || normalizeArray(node.suggestedAnswer)[0] || {};
+    return normalizeAnswer({
+        title: node.name,
+        url: normalizeUrl(node.url, baseUrl),
+        about: node.about,
+        date: reply.dateCreated || node.dateCreated,
+        text: reply.text,
+        helpfulCount: reply.upvoteCount,
+        bestAnswer: Boolean(accepted),
+    });
+}
+
+function extractAnswerFromElement($, $el, baseUrl) {
+    const questionLink = $el
+        .find('[data-testid="question-title"] a, .question-title a, a[href*="/legal-answers/"], h2 a, h3 a')
+        .first();
+    const dateEl = $el.find('time[datetime], .answer-date, [data-testid="answer-date"]').first();
+
+    return normalizeAnswer({
+        title: questionLink.text() || $el.find('[data-testid="question-title"], .question-title, h2, h3').first().text(),
+        url: normalizeUrl(questionLink.attr('href'), baseUrl),
+        topic: $el.find('[data-testid="question-topic"], .question-topic, .answer-topic').first().text(),
+        date: pickAttrValue(dateEl, ['datetime']) || dateEl.text(),
+        text: $el.find('[data-testid="answer-body"], .answer-body, .answer-text, [itemprop="text"]').first().text(),
+        // "12 lawyers agree" / "Helpful (12)"
+        helpfulCount: normalizeText($el.find('[data-testid="helpful-count"], .helpful-count').first().text()),
+        bestAnswer: $el.is('.best-answer') || $el.find('.best-answer, [data-testid="best-answer"]').length > 0,
+    });
+}
+
+function answerKey(answer) {
+    return (answer.questionUrl || `${answer.questionTitle}|${answer.answerText.slice(0, 80)}`).toLowerCase();
+}
+
+export function dedupeAnswers(answers) {
+    const seen = new Set();
+    return answers.filter((answer) => {
+        const key = answerKey(answer);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+export function limitAnswers(answers, maxAnswersPerLawyer) {
+    return maxAnswersPerLawyer > 0 ? answers.slice(0, maxAnswersPerLawyer) : answers;
+}
+
+// Answers from JSON-LD Question nodes first, then answer cards in the markup
+export function extractAnswersFromPage($, html, baseUrl) {
+    const answers = [];
+    extractJsonLdObjects(html).forEach((item) => {
+        const nodes = Array.isArray(item) ? item : [item, ...normalizeArray(item['@graph']), ...normalizeArray(item.mainEntity)];
+        nodes.filter((node) => node?.['@type'] === 'Question').forEach((node) => {
+            const answer = answerFromQuestionNode(node, baseUrl);
+            if (answer) answers.push(answer);
+        });
+    });
+
+    $('[data-testid="answer"], .answer-card, .legal-answer, article.answer').each((_, el) => {
+        const answer = extractAnswerFromElement($, $(el), baseUrl);
+        if (answer) answers.push(answer);
+    });
+
+    return dedupeAnswers(answers);
+}
+
+// /attorneys/35203-al-john-smith-123.html -> /attorneys/35203-al-john-smith-123/answers.html
+export function buildAnswersUrl(profileUrl) {
+    try {
+        const url = new URL(profileUrl);
+        url.pathname = url.pathname.replace(/\.html$/, '/answers.html');
+        url.search = '';
+        url.hash = '';
+        return url.pathname.endsWith('/answers.html') ? url.href : '';
+    } catch {
+        return '';
+    }
+}
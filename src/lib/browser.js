@@ -0,0 +1,91 @@
+import { log } from './log.js';
+import { isBlockedHtml, sleep } from './utils.js';
+
+const CHALLENGE_POLL_MS = 1000;
+
+// Playwright is only loaded when browser fallback is switched on, so HTTP-only runs and
+// library users do not need Chromium installed
+async function launchChromium({ headless }) {
+    let playwright;
+    try {
+        playwright = await import('playwright');
+    } catch {
+        throw new Error('Browser fallback needs the "playwright" package and Chromium (use the apify/actor-node-playwright-chrome image).');
+    }
+    // "per-context" lets every page use its own proxy session
+    return playwright.chromium.launch({ headless, proxy: { server: 'per-context' } });
+}
+
+function toPlaywrightProxy(proxyUrl) {
+    if (!proxyUrl) return undefined;
+    const { protocol, host, username, password } = new URL(proxyUrl);
+    return {
+        server: `${protocol}//${host}`,
+        username: decodeURIComponent(username),
+        password: decodeURIComponent(password),
+    };
+}
+
+// Renders pages in headless Chromium, at most maxPages at a time, and waits for a Cloudflare
+// challenge to clear. render() resolves to { html } or { blocked: true }.
+export function createBrowserRenderer(options = {}) {
+    const { maxPages = 2, timeoutMs = 45000, headless = true } = options;
+    let browserPromise = null;
+    let openPages = 0;
+    const waiting = [];
+
+    const acquire = async () => {
+        if (openPages < maxPages) {
+            openPages += 1;
+            return;
+        }
+        await new Promise((resolve) => {
+            waiting.push(resolve);
+        });
+    };
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next();
+        else openPages -= 1;
+    };
+
+    const renderPage = async (url, { proxyUrl, userAgent }) => {
+        browserPromise ??= launchChromium({ headless });
+        const browser = await browserPromise;
+        const context = await browser.newContext({ userAgent, proxy: toPlaywrightProxy(proxyUrl), locale: 'en-US' });
+        try {
+            const page = await context.newPage();
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+
+            const deadline = Date.now() + timeoutMs;
+            let html = await page.content();
+            while (isBlockedHtml(html) && Date.now() < deadline) {
+                await sleep(CHALLENGE_POLL_MS);
+                html = await page.content();
+            }
+            return isBlockedHtml(html) ? { blocked: true } : { html };
+        } finally {
+            await context.close();
+        }
+    };
+
+    return {
+        async render(url, renderOptions = {}) {
+            await acquire();
+            try {
+                return await renderPage(url, renderOptions);
+            } catch (error) {
+                log.warning(`Browser rendering failed for ${url}: ${error.message}`);
+                return null;
+            } finally {
+                release();
+            }
+        },
+        async close() {
+            if (!browserPromise) return;
+            const browser = await browserPromise.catch(() => null);
+            browserPromise = null;
+            await browser?.close();
+        },
+    };
+}
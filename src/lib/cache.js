@@ -0,0 +1,54 @@
+import { createHash } from 'node:crypto';
+
+import { profileIdFromUrl } from './identity.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Key-value store keys only allow [a-zA-Z0-9!-_.'()], so entries are keyed by the Avvo
+// profile ID and fall back to a hash of the URL for profiles without one
+export function profileCacheKeyFor(profileUrl) {
+    const profileId = profileIdFromUrl(profileUrl);
+    if (profileId) return `profile-${profileId}`;
+    return `profile-url-${createHash('sha1').update(profileUrl).digest('hex')}`;
+}
+
+// A limit of 0 means "all", which covers any other limit
+function coversLimit(cachedMax, wantedMax) {
+    return cachedMax === 0 || (wantedMax > 0 && cachedMax >= wantedMax);
+}
+
+// Wraps any store with getValue/setValue (an Apify KeyValueStore or a Map-backed stand-in).
+// Entries older than ttlDays, or cached without the reviews or answers this run asks for, count as misses.
+export function createProfileCache(store, options) {
+    const { ttlDays, stats, now = () => Date.now() } = options;
+    const countLookup = (hit) => {
+        if (!stats) return;
+        if (hit) stats.profileCacheHits += 1;
+        else stats.profileCacheMisses += 1;
+    };
+
+    return {
+        async get(profileUrl, lookup = {}) {
+            const { includeReviews = false, maxReviewsPerLawyer = 0, includeAnswers = false, maxAnswersPerLawyer = 0 } = lookup;
+            const entry = await store.getValue(profileCacheKeyFor(profileUrl));
+            const fresh = entry?.profile && now() - Date.parse(entry.cachedAt) < ttlDays * DAY_MS;
+            const hasReviews = !includeReviews || (entry?.includeReviews && coversLimit(entry.maxReviewsPerLawyer, maxReviewsPerLawyer));
+            const hasAnswers = !includeAnswers || (entry?.includeAnswers && coversLimit(entry.maxAnswersPerLawyer, maxAnswersPerLawyer));
+            const hit = Boolean(fresh && hasReviews && hasAnswers);
+            countLookup(hit);
+            return hit ? entry.profile : null;
+        },
+        async set(profileUrl, profile, stored = {}) {
+            const { includeReviews = false, maxReviewsPerLawyer = 0, includeAnswers = false, maxAnswersPerLawyer = 0 } = stored;
+            await store.setValue(profileCacheKeyFor(profileUrl), {
+                profileUrl,
+                cachedAt: new Date(now()).toISOString(),
+                includeReviews,
+                maxReviewsPerLawyer: includeReviews ? maxReviewsPerLawyer : 0,
+                includeAnswers,
+                maxAnswersPerLawyer: includeAnswers ? maxAnswersPerLawyer : 0,
+                profile,
+            });
+        },
+    };
+}
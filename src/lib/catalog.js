@@ -0,0 +1,220 @@
+import { normalizeArray, normalizeText, slugify } from './utils.js';
+
+// Practice-area directory slugs as used in Avvo URLs (/<slug>-lawyer/<state>.html)
+export const PRACTICE_AREAS = {
+    administrative: 'Administrative Law',
+    adoption: 'Adoption',
+    appeals: 'Appeals',
+    'bankruptcy-debt': 'Bankruptcy & Debt',
+    business: 'Business',
+    'car-accident': 'Car Accident',
+    'child-custody': 'Child Custody',
+    'child-support': 'Child Support',
+    'civil-rights': 'Civil Rights',
+    'consumer-protection': 'Consumer Protection',
+    'contracts-agreements': 'Contracts & Agreements',
+    'criminal-defense': 'Criminal Defense',
+    'divorce-separation': 'Divorce & Separation',
+    dui: 'DUI & DWI',
+    education: 'Education',
+    'elder-law': 'Elder Law',
+    'employment-labor': 'Employment & Labor',
+    entertainment: 'Entertainment',
+    'estate-planning': 'Estate Planning',
+    family: 'Family',
+    foreclosure: 'Foreclosure',
+    government: 'Government',
+    'health-care': 'Health Care',
+    immigration: 'Immigration',
+    insurance: 'Insurance',
+    'intellectual-property': 'Intellectual Property',
+    'landlord-tenant': 'Landlord & Tenant',
+    'lawsuits-disputes': 'Lawsuits & Disputes',
+    'medical-malpractice': 'Medical Malpractice',
+    military: 'Military',
+    'motorcycle-accident': 'Motorcycle Accident',
+    patent: 'Patent',
+    'personal-injury': 'Personal Injury',
+    probate: 'Probate',
+    'real-estate': 'Real Estate',
+    'social-security-disability': 'Social Security Disability',
+    tax: 'Tax',
+    'traffic-tickets': 'Traffic Tickets',
+    trademark: 'Trademark',
+    'wills-trusts': 'Wills & Trusts',
+    'workers-compensation': "Workers' Compensation",
+    'wrongful-death': 'Wrongful Death',
+};
+
+export const US_STATES = {
+    al: 'Alabama',
+    ak: 'Alaska',
+    az: 'Arizona',
+    ar: 'Arkansas',
+    ca: 'California',
+    co: 'Colorado',
+    ct: 'Connecticut',
+    de: 'Delaware',
+    dc: 'District of Columbia',
+    fl: 'Florida',
+    ga: 'Georgia',
+    hi: 'Hawaii',
+    id: 'Idaho',
+    il: 'Illinois',
+    in: 'Indiana',
+    ia: 'Iowa',
+    ks: 'Kansas',
+    ky: 'Kentucky',
+    la: 'Louisiana',
+    me: 'Maine',
+    md: 'Maryland',
+    ma: 'Massachusetts',
+    mi: 'Michigan',
+    mn: 'Minnesota',
+    ms: 'Mississippi',
+    mo: 'Missouri',
+    mt: 'Montana',
+    ne: 'Nebraska',
+    nv: 'Nevada',
+    nh: 'New Hampshire',
+    nj: 'New Jersey',
+    nm: 'New Mexico',
+    ny: 'New York',
+    nc: 'North Carolina',
+    nd: 'North Dakota',
+    oh: 'Ohio',
+    ok: 'Oklahoma',
+    or: 'Oregon',
+    pa: 'Pennsylvania',
+    ri: 'Rhode Island',
+    sc: 'South Carolina',
+    sd: 'South Dakota',
+    tn: 'Tennessee',
+    tx: 'Texas',
+    ut: 'Utah',
+    vt: 'Vermont',
+    va: 'Virginia',
+    wa: 'Washington',
+    wv: 'West Virginia',
+    wi: 'Wisconsin',
+    wy: 'Wyoming',
+};
+
+export const AVVO_BASE_URL = 'https://www.avvo.com';
+
+// Longest names first so "West Virginia" wins over "Virginia"
+const STATE_NAME_ENTRIES = Object.entries(US_STATES).sort((a, b) => b[1].length - a[1].length);
+
+export function findStateInText(text) {
+    const value = normalizeText(text);
+    for (const [code, name] of STATE_NAME_ENTRIES) {
+        if (new RegExp(`\\b${name}\\b`, 'i').test(value)) return code.toUpperCase();
+    }
+    const codeMatch = value.match(/\bstate:?\s*([A-Z]{2})\b/);
+    return codeMatch && US_STATES[codeMatch[1].toLowerCase()] ? codeMatch[1] : '';
+}
+
+export function toInputList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(normalizeText).filter(Boolean);
+    return normalizeArray(String(value));
+}
+
+export function resolvePracticeAreaSlug(value) {
+    const slug = slugify(value).replace(/-lawyers?$/, '');
+    if (PRACTICE_AREAS[slug]) return slug;
+    const byLabel = Object.keys(PRACTICE_AREAS).find((key) => slugify(PRACTICE_AREAS[key]) === slug);
+    return byLabel || null;
+}
+
+export function resolveStateCode(value) {
+    const text = normalizeText(value).toLowerCase();
+    if (US_STATES[text]) return text;
+    const byName = Object.keys(US_STATES).find((code) => US_STATES[code].toLowerCase() === text);
+    return byName || null;
+}
+
+// Cities may be plain ("birmingham", applied to every state) or state-qualified ("al:birmingham", "Birmingham, AL")
+function parseCityInput(value) {
+    const text = normalizeText(value);
+    const qualified = text.match(/^([a-z]{2})\s*[:/]\s*(.+)$/i) || text.match(/^(.+?)\s*,\s*([a-z]{2})$/i);
+    if (!qualified) return { city: slugify(text), state: null, raw: text };
+    const [state, city] = /^[a-z]{2}$/i.test(qualified[1]) ? [qualified[1], qualified[2]] : [qualified[2], qualified[1]];
+    return { city: slugify(city), state: state.toLowerCase(), raw: text };
+}
+
+export function buildSearchUrl({ practiceArea, state, city }) {
+    const path = city ? `${state}/${city}` : state;
+    return `${AVVO_BASE_URL}/${practiceArea}-lawyer/${path}.html`;
+}
+
+export function buildSearchUrls(input) {
+    const practiceAreaInputs = [...toInputList(input.practiceAreas), ...toInputList(input.practiceArea)];
+    const stateInputs = [...toInputList(input.states), ...toInputList(input.state)];
+    const cityInputs = [...toInputList(input.cities), ...toInputList(input.city)];
+
+    const unknownPracticeAreas = [];
+    const practiceAreas = [];
+    for (const value of practiceAreaInputs) {
+        const slug = resolvePracticeAreaSlug(value);
+        if (!slug) unknownPracticeAreas.push(value);
+        else if (!practiceAreas.includes(slug)) practiceAreas.push(slug);
+    }
+
+    const unknownStates = [];
+    const states = [];
+    for (const value of stateInputs) {
+        const code = resolveStateCode(value);
+        if (!code) unknownStates.push(value);
+        else if (!states.includes(code)) states.push(code);
+    }
+
+    const cities = cityInputs.map(parseCityInput).filter((item) => item.city);
+    const unknownCombinations = [];
+    for (const item of cities) {
+        if (item.state && !states.includes(item.state)) {
+            unknownCombinations.push(`${item.raw} (state "${item.state}" is not in the selected states)`);
+        }
+    }
+    // A plain city is searched in every selected state, which is rarely meant when there are several
+    const ambiguousCities = states.length > 1 ? cities.filter((item) => !item.state).map((item) => item.raw) : [];
+
+    const urls = [];
+    for (const practiceArea of practiceAreas) {
+        for (const state of states) {
+            const stateCities = cities.filter((item) => !item.state || item.state === state);
+            if (stateCities.length === 0) {
+                urls.push(buildSearchUrl({ practiceArea, state }));
+                continue;
+            }
+            for (const { city } of stateCities) {
+                const url = buildSearchUrl({ practiceArea, state, city });
+                if (!urls.includes(url)) urls.push(url);
+            }
+        }
+    }
+
+    return {
+        urls,
+        practiceAreas,
+        states,
+        unknownPracticeAreas,
+        unknownStates,
+        unknownCombinations,
+        ambiguousCities,
+    };
+}
+
+// Attorney profile pages live under /attorneys/<id>-<state>-<name>.html
+export function isProfileUrl(url) {
+    try {
+        return /^\/attorneys?\/[^/]+\.html$/i.test(new URL(url).pathname);
+    } catch {
+        return false;
+    }
+}
+
+export function hasSearchInput(input) {
+    return toInputList(input.practiceAreas).length > 0 || toInputList(input.practiceArea).length > 0 ||
+        toInputList(input.states).length > 0 || toInputList(input.state).length > 0;
+}
@@ -0,0 +1,108 @@
+import { profileIdFromUrl } from './identity.js';
+import { PROVENANCE_FIELD } from './provenance.js';
+import { normalizeArray, normalizeText } from './utils.js';
+
+// Fields that change on every run or only describe extraction, and must not count as modifications
+const SNAPSHOT_IGNORED_FIELDS = ['scrapedAt', PROVENANCE_FIELD];
+
+export function lawyerKeyFor(lawyer) {
+    if (lawyer.profileUrl) return lawyer.profileUrl;
+    return `${normalizeText(lawyer.name).toLowerCase()}|${normalizeText(lawyer.location).toLowerCase()}`;
+}
+
+function valuesEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+export function diffLawyerRecords(previous, current) {
+    const changes = {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const field of fields) {
+        if (SNAPSHOT_IGNORED_FIELDS.includes(field)) continue;
+        const before = previous[field];
+        const after = current[field];
+        if (valuesEqual(before, after)) continue;
+
+        if (Array.isArray(before) || Array.isArray(after)) {
+            const beforeList = normalizeArray(before);
+            const afterList = normalizeArray(after);
+            const added = afterList.filter((item) => !beforeList.some((old) => valuesEqual(old, item)));
+            const removed = beforeList.filter((item) => !afterList.some((value) => valuesEqual(value, item)));
+            // Reordered arrays are not a meaningful change
+            if (added.length === 0 && removed.length === 0) continue;
+            changes[field] = { previous: before ?? null, current: after ?? null, added, removed };
+        } else {
+            changes[field] = { previous: before ?? null, current: after ?? null };
+        }
+    }
+
+    return changes;
+}
+
+// Profile ID -> key lookups over a previous snapshot, built on first use
+const previousKeysByProfileId = new WeakMap();
+
+// Snapshot key of the lawyer's previous record: the exact key, else an entry with the same Avvo
+// profile ID, so a profile reached through a different URL slug is not reported as new + removed
+function previousKeyFor(lawyer, previousLawyers, keyFor) {
+    const key = keyFor(lawyer);
+    const profileId = profileIdFromUrl(lawyer.profileUrl);
+    if (previousLawyers.has(key) || !profileId) return key;
+
+    if (!previousKeysByProfileId.has(previousLawyers)) {
+        previousKeysByProfileId.set(previousLawyers, new Map([...previousLawyers.keys()]
+            .map((previousKey) => [profileIdFromUrl(previousKey), previousKey])
+            .filter(([id]) => id)));
+    }
+    return previousKeysByProfileId.get(previousLawyers).get(profileId) || key;
+}
+
+// snapshot.previous and snapshot.current are Maps (or chunked maps) of lawyer key -> record.
+// keyFor lets callers key lawyers by an identity known across runs instead of lawyerKeyFor.
+export function applySnapshot(lawyers, options) {
+    const { snapshot, stats, keyFor = lawyerKeyFor } = options;
+    const { previous: previousLawyers, current: currentLawyers } = snapshot;
+    const changed = [];
+    for (const lawyer of lawyers) {
+        const key = previousKeyFor(lawyer, previousLawyers, keyFor);
+        const previous = previousLawyers.get(key);
+        currentLawyers.set(key, lawyer);
+
+        if (!previous) {
+            stats.newLawyers += 1;
+            changed.push({ ...lawyer, changeType: 'new', changes: {} });
+            continue;
+        }
+
+        const changes = diffLawyerRecords(previous, lawyer);
+        if (Object.keys(changes).length === 0) {
+            stats.unchangedLawyers += 1;
+            continue;
+        }
+        stats.modifiedLawyers += 1;
+        changed.push({ ...lawyer, changeType: 'modified', changes });
+    }
+    return changed;
+}
+
+// A merged update of a lawyer already output in this run: replaces its snapshot record and is
+// diffed against the previous run again without counting the lawyer twice. Returns null when the
+// merged record still matches the previous run.
+export function applySnapshotUpdate(lawyer, options) {
+    const { snapshot, stats, keyFor = lawyerKeyFor } = options;
+    const { previous: previousLawyers, current: currentLawyers } = snapshot;
+    const key = previousKeyFor(lawyer, previousLawyers, keyFor);
+    const previous = previousLawyers.get(key);
+    const before = currentLawyers.get(key);
+    currentLawyers.set(key, lawyer);
+    if (!previous) return { ...lawyer, changeType: 'new', changes: {} };
+
+    const changes = diffLawyerRecords(previous, lawyer);
+    if (Object.keys(changes).length === 0) return null;
+    if (before && Object.keys(diffLawyerRecords(previous, before)).length === 0) {
+        stats.unchangedLawyers -= 1;
+        stats.modifiedLawyers += 1;
+    }
+    return { ...lawyer, changeType: 'modified', changes };
+}
@@ -0,0 +1,75 @@
+const DEFAULT_CHUNK_SIZE = 500;
+
+function chunkKey(key, index) {
+    return `${key}-${index + 1}`;
+}
+
+// A key -> record map held in memory and stored over several key-value records, since a single
+// record is capped in size: `key` holds { chunkCount, size } and `key-1`, `key-2`... the entries.
+// save() only rewrites chunks with entries set since the last save. Works with any store that has
+// getValue/setValue (an Apify KeyValueStore or a Map-backed stand-in). With `replace` the stored
+// entries are not loaded and are overwritten on the next save.
+export async function openChunkedMap(store, key, options = {}) {
+    const { chunkSize = DEFAULT_CHUNK_SIZE, replace = false } = options;
+    const entries = new Map();
+    const chunkIndexes = new Map();
+    const chunks = [];
+    const dirty = new Set();
+
+    const place = (entryKey) => {
+        if (chunkIndexes.has(entryKey)) return chunkIndexes.get(entryKey);
+        if (chunks.length === 0 || chunks[chunks.length - 1].length >= chunkSize) chunks.push([]);
+        const index = chunks.length - 1;
+        chunks[index].push(entryKey);
+        chunkIndexes.set(entryKey, index);
+        return index;
+    };
+
+    const stored = await store.getValue(key);
+    let storedChunks = Number.isInteger(stored?.chunkCount) ? stored.chunkCount : 0;
+    if (!replace && storedChunks > 0) {
+        for (let index = 0; index < storedChunks; index++) {
+            const chunk = (await store.getValue(chunkKey(key, index))) || [];
+            chunk.forEach(([entryKey, value]) => {
+                entries.set(entryKey, value);
+                place(entryKey);
+            });
+        }
+    } else if (!replace && stored && typeof stored === 'object' && !Number.isInteger(stored.chunkCount)) {
+        // Written before chunking: the whole map as one object, rewritten in chunks on the next save
+        Object.entries(stored).forEach(([entryKey, value]) => {
+            entries.set(entryKey, value);
+            dirty.add(place(entryKey));
+        });
+    }
+
+    return {
+        get: (entryKey) => entries.get(entryKey),
+        has: (entryKey) => entries.has(entryKey),
+        set(entryKey, value) {
+            entries.set(entryKey, value);
+            dirty.add(place(entryKey));
+            return this;
+        },
+        keys: () => entries.keys(),
+        values: () => entries.values(),
+        entries: () => entries.entries(),
+        get size() {
+            return entries.size;
+        },
+        async save() {
+            // Entries set while the chunks are being written are picked up by the next save
+            const pending = [...dirty].sort((a, b) => a - b);
+            dirty.clear();
+            for (const index of pending) {
+                await store.setValue(chunkKey(key, index), chunks[index].map((entryKey) => [entryKey, entries.get(entryKey)]));
+            }
+            // A larger map saved under the same key before leaves chunks nothing points to anymore
+            for (let index = chunks.length; index < storedChunks; index++) {
+                await store.setValue(chunkKey(key, index), null);
+            }
+            storedChunks = chunks.length;
+            await store.setValue(key, { chunkCount: chunks.length, size: entries.size });
+        },
+    };
+}
@@ -0,0 +1,166 @@
+import { normalizeText, normalizeUrl } from './utils.js';
+
+// Addresses that belong to the directory or to page tooling rather than the lawyer
+const BLOCKED_EMAIL_DOMAINS = [
+    'avvo.com',
+    'internetbrands.com',
+    'martindale.com',
+    'example.com',
+    'example.org',
+    'sentry.io',
+    'wixpress.com',
+    'domain.com',
+];
+const BLOCKED_EMAIL_LOCAL_PATTERN = /^(?:no-?reply|do-?not-?reply|mailer-daemon|postmaster)$/i;
+const EMAIL_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}$/;
+const ASSET_EXTENSION_PATTERN = /\.(?:png|jpe?g|gif|svg|webp|css|js)$/;
+
+const PHONE_EXTENSION_PATTERN = /\s*(?:#|x|ext\.?|extension|;ext=|,)\s*(\d{1,6})\s*$/i;
+const NANP_PATTERN = /^1[2-9]\d{2}[2-9]\d{6}$/;
+
+const TRACKING_PARAM_PATTERN = /^(?:utm_\w+|gclid|dclid|fbclid|msclkid|mc_cid|mc_eid|_ga|_gl|yclid)$/i;
+const REDIRECT_PARAMS = ['url', 'u', 'q', 'target', 'dest', 'destination', 'redirect', 'redirect_url', 'to', 'link'];
+const REDIRECT_HOST_PATTERN = /(?:^|\.)(?:avvo\.com|google\.[a-z.]+|facebook\.com|linkedin\.com|bing\.com)$/;
+const REDIRECT_PATH_PATTERN = /(?:redirect|\/out|\/click|\/track|\/goto|\/url|\/l\.php)/i;
+
+function isBlockedHost(host) {
+    return /(?:^|\.)avvo\.com$/.test(host);
+}
+
+// Returns { value, extension, valid }; value is E.164 ("+12055550123") when the number is dialable
+export function normalizePhone(value) {
+    const raw = normalizeText(value).replace(/^tel:/i, '');
+    if (!raw) return { value: '', extension: '', valid: false };
+
+    const extensionMatch = raw.match(PHONE_EXTENSION_PATTERN);
+    const main = extensionMatch ? raw.slice(0, extensionMatch.index) : raw;
+    const international = /^\s*(?:\+|00)/.test(main);
+    let digits = main.replace(/\D/g, '');
+    if (/^\s*00/.test(main)) digits = digits.slice(2);
+    // Without a country code, Avvo numbers are US/Canada numbers
+    if (!international && digits.length === 10) digits = `1${digits}`;
+
+    const valid = digits.startsWith('1')
+        ? NANP_PATTERN.test(digits)
+        : international && digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0');
+
+    return {
+        value: valid ? `+${digits}` : '',
+        extension: valid && extensionMatch ? extensionMatch[1] : '',
+        valid,
+    };
+}
+
+export function normalizeEmail(value) {
+    let email = normalizeText(value).replace(/^mailto:/i, '').split('?')[0];
+    try {
+        email = decodeURIComponent(email);
+    } catch {
+        // Keep the undecoded address; the pattern check below rejects it if it is malformed
+    }
+    email = email.trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email) || ASSET_EXTENSION_PATTERN.test(email)) return '';
+    const [local, domain] = email.split('@');
+    if (BLOCKED_EMAIL_LOCAL_PATTERN.test(local)) return '';
+    if (BLOCKED_EMAIL_DOMAINS.some((blocked) => domain === blocked || domain.endsWith(`.${blocked}`))) return '';
+    return email;
+}
+
+function redirectTarget(url) {
+    if (!REDIRECT_HOST_PATTERN.test(url.hostname) && !REDIRECT_PATH_PATTERN.test(url.pathname)) return null;
+    return REDIRECT_PARAMS.map((param) => url.searchParams.get(param))
+        .find((candidate) => /^https?:\/\//i.test(candidate || '')) || null;
+}
+
+// Follows redirect wrappers such as avvo.com/redirect?url=... or google.com/url?q=... (a few levels deep)
+function unwrapRedirect(url) {
+    let current = url;
+    for (let depth = 0; depth < 3; depth++) {
+        const target = redirectTarget(current);
+        if (!target) break;
+        try {
+            current = new URL(target);
+        } catch {
+            break;
+        }
+    }
+    return current;
+}
+
+// Canonical external website: redirect wrappers resolved, tracking parameters and fragments removed,
+// and Avvo's own pages dropped
+export function normalizeExternalWebsite(value, baseUrl) {
+    const normalized = normalizeUrl(normalizeText(value), baseUrl);
+    if (!normalized) return '';
+
+    let url;
+    try {
+        url = unwrapRedirect(new URL(normalized));
+    } catch {
+        return '';
+    }
+    if (!/^https?:$/.test(url.protocol) || isBlockedHost(url.hostname)) return '';
+
+    [...url.searchParams.keys()]
+        .filter((param) => TRACKING_PARAM_PATTERN.test(param))
+        .forEach((param) => url.searchParams.delete(param));
+    url.hash = '';
+    return url.href;
+}
+
+const CONTACT_NORMALIZERS = {
+    phone: (value) => normalizePhone(value),
+    email: (value) => {
+        const email = normalizeEmail(value);
+        return { value: email, extension: '', valid: Boolean(email) };
+    },
+    website: (value, baseUrl) => {
+        const website = normalizeExternalWebsite(value, baseUrl);
+        return { value: website, extension: '', valid: Boolean(website) };
+    },
+};
+
+// Picks the first candidate ({ source, value }, in priority order) that normalizes to a usable value.
+// The quality record keeps the raw text and its source even when nothing was usable.
+export function pickContact(field, candidates, baseUrl) {
+    let fallback = null;
+    for (const { source = null, value } of candidates) {
+        const raw = normalizeText(value);
+        if (!raw) continue;
+        const result = CONTACT_NORMALIZERS[field](raw, baseUrl);
+        if (result.valid) return { value: result.value, extension: result.extension, quality: { source, raw, valid: true } };
+        fallback = fallback || { value: '', extension: '', quality: { source, raw, valid: false } };
+    }
+    return fallback || { value: '', extension: '', quality: { source: null, raw: '', valid: false } };
+}
+
+// Builds phone/phoneExtension/email/website plus contactQuality from per-field candidate lists
+export function buildContactFields({ phone = [], email = [], website = [] }, baseUrl) {
+    const picked = {
+        phone: pickContact('phone', phone, baseUrl),
+        email: pickContact('email', email, baseUrl),
+        website: pickContact('website', website, baseUrl),
+    };
+    return {
+        phone: picked.phone.value,
+        phoneExtension: picked.phone.extension,
+        email: picked.email.value,
+        website: picked.website.value,
+        contactQuality: {
+            phone: picked.phone.quality,
+            email: picked.email.quality,
+            website: picked.website.quality,
+        },
+    };
+}
+
+// Fills in the extraction source for contact values that were normalized without one
+export function withContactSource(lawyer, source) {
+    if (!lawyer?.contactQuality) return lawyer;
+    const contactQuality = Object.fromEntries(Object.entries(lawyer.contactQuality).map(([field, quality]) => [
+        field,
+        quality.raw && !quality.source ? { ...quality, source } : quality,
+    ]));
+    return { ...lawyer, contactQuality };
+}
@@ -0,0 +1,76 @@
+import { normalizeText } from './utils.js';
+
+// Trailing tokens that are not part of a surname
+const NAME_SUFFIX_PATTERN = /^(?:esq\.?|jr\.?|sr\.?|ii|iii|iv|j\.?d\.?|ll\.?m\.?|ph\.?d\.?)$/i;
+
+export const CRM_FORMATS = ['raw', 'hubspot', 'salesforce'];
+
+export function splitName(name) {
+    const parts = normalizeText(name === 'Unknown' ? '' : name).replace(/,/g, ' ').split(' ').filter(Boolean);
+    while (parts.length > 1 && NAME_SUFFIX_PATTERN.test(parts[parts.length - 1])) parts.pop();
+    if (parts.length === 0) return { firstName: '', lastName: '' };
+    if (parts.length === 1) return { firstName: '', lastName: parts[0] };
+    return { firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] };
+}
+
+function primaryOffice(lawyer) {
+    const offices = lawyer.offices || [];
+    return offices.find((office) => office.primary) || offices[0] || {};
+}
+
+function withoutEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== '' && value !== null && value !== undefined));
+}
+
+// HubSpot contact object for POST /crm/v3/objects/contacts(/batch/create); only default properties are used
+export function toHubSpotContact(lawyer) {
+    const { firstName, lastName } = splitName(lawyer.name);
+    const office = primaryOffice(lawyer);
+    return {
+        properties: withoutEmpty({
+            firstname: firstName,
+            lastname: lastName,
+            email: lawyer.email,
+            phone: lawyer.phone,
+            website: lawyer.website,
+            company: lawyer.firm?.name || office.firmName,
+            jobtitle: 'Attorney',
+            address: office.street,
+            city: office.city,
+            state: office.state,
+            zip: office.zip,
+        }),
+    };
+}
+
+// Salesforce Lead sObject for the composite sObject collections API; Company and LastName are required there
+export function toSalesforceLead(lawyer) {
+    const { firstName, lastName } = splitName(lawyer.name);
+    const office = primaryOffice(lawyer);
+    return {
+        attributes: { type: 'Lead' },
+        ...withoutEmpty({
+            FirstName: firstName,
+            LastName: lastName || 'Unknown',
+            Company: lawyer.firm?.name || office.firmName || `${normalizeText(lawyer.name)} (Attorney)`,
+            Title: 'Attorney',
+            Email: lawyer.email,
+            Phone: lawyer.phone,
+            Website: lawyer.website,
+            Street: office.street,
+            City: office.city,
+            State: office.state,
+            PostalCode: office.zip,
+            LeadSource: 'Avvo',
+            Description: lawyer.profileUrl,
+        }),
+    };
+}
+
+// Wraps a batch in the request body each target expects
+export function buildCrmPayload(lawyers, { format = 'raw', batchId } = {}) {
+    if (format === 'hubspot') return { inputs: lawyers.map(toHubSpotContact) };
+    if (format === 'salesforce') return { allOrNone: false, records: lawyers.map(toSalesforceLead) };
+    if (format === 'raw') return { event: 'lawyers.batch', batchId, count: lawyers.length, lawyers };
+    throw new Error(`Unknown webhook format "${format}". Use one of: ${CRM_FORMATS.join(', ')}`);
+}
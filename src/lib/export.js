@@ -0,0 +1,88 @@
+import { PROVENANCE_FIELD } from './provenance.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl'];
+export const EXPLODE_MODES = ['none', 'offices', 'practiceAreas'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+};
+
+// Provenance is a per-field debugging map and would add hundreds of columns
+const EXPORT_IGNORED_FIELDS = [PROVENANCE_FIELD];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function formatArrayItem(item) {
+    if (!isPlainObject(item)) return item == null ? '' : String(item);
+    // Objects inside arrays (offices, reviews, licenses) collapse to their non-empty values
+    return Object.values(flattenObject(item, { delimiter: ', ' }))
+        .filter((value) => value !== '' && value != null)
+        .join(', ');
+}
+
+function flattenEntries(object, options, prefix = '') {
+    const { delimiter } = options;
+    return Object.entries(object).flatMap(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) return [[column, value.map(formatArrayItem).filter(Boolean).join(delimiter)]];
+        if (isPlainObject(value)) return flattenEntries(value, options, column);
+        return [[column, value ?? '']];
+    });
+}
+
+function flattenObject(object, options) {
+    return Object.fromEntries(flattenEntries(object, options));
+}
+
+// Nested objects become dotted columns (coordinates.latitude, firm.name); arrays are joined with the delimiter
+export function flattenRecord(record, { delimiter = '; ' } = {}) {
+    const exported = Object.fromEntries(Object.entries(record).filter(([field]) => !EXPORT_IGNORED_FIELDS.includes(field)));
+    return flattenObject(exported, { delimiter });
+}
+
+// One record per office or practice area; lawyers without any keep a single row
+export function explodeRecord(record, mode = 'none') {
+    if (mode === 'offices' && record.offices?.length > 0) {
+        const { offices, ...rest } = record;
+        return offices.map((office, index) => ({ ...rest, officeIndex: index + 1, office }));
+    }
+    if (mode === 'practiceAreas' && record.practiceAreas?.length > 0) {
+        const { practiceAreas, ...rest } = record;
+        return practiceAreas.map((practiceArea) => ({ ...rest, practiceArea }));
+    }
+    if (!EXPLODE_MODES.includes(mode)) {
+        throw new Error(`Unknown explode mode "${mode}". Use one of: ${EXPLODE_MODES.join(', ')}`);
+    }
+    return [record];
+}
+
+export function buildExportRows(records, { explode = 'none', delimiter = '; ' } = {}) {
+    return records.flatMap((record) => explodeRecord(record, explode)).map((row) => flattenRecord(row, { delimiter }));
+}
+
+function escapeCsvValue(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Header is the union of all row columns in first-seen order; the BOM makes Excel read the file as UTF-8
+export function toCsv(rows) {
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(escapeCsvValue).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export function toJsonl(rows) {
+    return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+}
+
+// Returns { body, contentType } for one of EXPORT_FORMATS
+export function serializeExport(rows, format) {
+    if (format === 'csv') return { body: toCsv(rows), contentType: CONTENT_TYPES.csv };
+    if (format === 'jsonl') return { body: toJsonl(rows), contentType: CONTENT_TYPES.jsonl };
+    throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+}
@@ -0,0 +1,281 @@
+import * as cheerio from 'cheerio';
+import { gotScraping } from 'got-scraping';
+
+import { ANSWERS_FIELD, buildAnswersUrl, dedupeAnswers, extractAnswersFromPage, limitAnswers } from './answers.js';
+import { extractNextPageUrlFromHtml } from './listing.js';
+import { log } from './log.js';
+import { mergeProfileData, parseLawyerProfile } from './profile.js';
+import { buildReviewsUrl, dedupeReviews, extractReviewsFromPage, limitReviews } from './reviews.js';
+import { createWaitBudget, isBlockedStatus } from './throttle.js';
+import { isBlockedHtml, randomBetween, sleep } from './utils.js';
+
+export const USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36 Edg/119.0.0.0',
+];
+
+export const DEFAULT_HEADERS = {
+    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+};
+
+const PROFILE_BATCH_DELAY_MS = 100;
+const BLOCKED_RETRY_DELAY_MS = 5000;
+// Retry pauses of one enrichLawyersWithProfiles call, unless the caller shares a waitBudget
+// between calls
+const MAX_BLOCKED_RETRY_WAIT_MS = 20000;
+
+// Without a shared throttle (library use) delays stay at their base values
+function throttled(throttle, baseMs) {
+    return throttle ? throttle.delayFor(baseMs) : baseMs;
+}
+
+export async function fetchJsonWithRetries(url, { proxyUrl, headers, maxRetries = 3, throttle }) {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+            const response = await gotScraping({
+                url,
+                headers,
+                proxyUrl,
+                timeout: { request: 30000 }, // Increased from 20s
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+            });
+
+            const blocked = isBlockedStatus(response.statusCode);
+            throttle?.record(blocked);
+            if (blocked) {
+                throw new Error(`Blocked with status ${response.statusCode}`);
+            }
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                throw new Error(`Unexpected status ${response.statusCode}`);
+            }
+
+            const bodyText = typeof response.body === 'string' ? response.body : response.body.toString('utf-8');
+            return JSON.parse(bodyText);
+        } catch (err) {
+            if (attempt === maxRetries) {
+                log.warning(`Failed after ${maxRetries + 1} attempts: ${url} - ${err.message}`);
+                throw err;
+            }
+            const backoff = Math.min(1000 * 2 ** attempt, 10000); // 1s, 2s, 4s, 8s, 10s
+            log.debug(`Retry ${attempt + 1}/${maxRetries} after ${backoff}ms for ${url}`);
+            await sleep(throttled(throttle, backoff) + randomBetween(0, 500));
+        }
+    }
+    return null;
+}
+
+// Fetches one reviews or answers page; network errors and timeouts end the walk like a blocked
+// page would, so a failing sub-page never costs the profile itself
+async function fetchSubPage(pageUrl, options) {
+    try {
+        return await fetchHtml(pageUrl, options);
+    } catch (error) {
+        log.debug(`Failed to fetch ${pageUrl}: ${error.message}`);
+        return null;
+    }
+}
+
+// Walks the lawyer's reviews pages and keeps whatever was collected when a page fails
+export async function collectLawyerReviews(profileUrl, profile, { proxyUrl, userAgent, maxReviewsPerLawyer, throttle }) {
+    let reviews = profile.reviews || [];
+    const expected = profile.reviewCount || 0;
+    const target = maxReviewsPerLawyer > 0 ? Math.min(maxReviewsPerLawyer, expected) : expected;
+    if (reviews.length >= target) return limitReviews(reviews, maxReviewsPerLawyer);
+
+    const visited = new Set();
+    let pageUrl = buildReviewsUrl(profileUrl);
+    while (pageUrl && !visited.has(pageUrl) && reviews.length < target) {
+        visited.add(pageUrl);
+        const page = await fetchSubPage(pageUrl, { proxyUrl, userAgent, throttle });
+        if (!page || page.blocked) {
+            log.debug(`Stopped review pagination for ${profileUrl} at ${pageUrl}${page?.blocked ? ' (blocked)' : ''}`);
+            break;
+        }
+
+        const $ = cheerio.load(page.html);
+        const before = reviews.length;
+        reviews = dedupeReviews([...reviews, ...extractReviewsFromPage($, page.html)]);
+        if (reviews.length === before) break;
+
+        pageUrl = extractNextPageUrlFromHtml($, pageUrl);
+        if (pageUrl) await sleep(throttled(throttle, randomBetween(200, 600)));
+    }
+
+    return limitReviews(reviews, maxReviewsPerLawyer);
+}
+
+// Walks the lawyer's answers pages and keeps whatever was collected when a page fails;
+// a known answersCount of 0 skips the fetch entirely
+export async function collectLawyerAnswers(profileUrl, profile, { proxyUrl, userAgent, maxAnswersPerLawyer, throttle }) {
+    const expected = profile.answersCount ?? Infinity;
+    const target = maxAnswersPerLawyer > 0 ? Math.min(maxAnswersPerLawyer, expected) : expected;
+    let answers = [];
+
+    const visited = new Set();
+    let pageUrl = target > 0 ? buildAnswersUrl(profileUrl) : '';
+    while (pageUrl && !visited.has(pageUrl) && answers.length < target) {
+        visited.add(pageUrl);
+        const page = await fetchSubPage(pageUrl, { proxyUrl, userAgent, throttle });
+        if (!page || page.blocked) {
+            log.debug(`Stopped answer pagination for ${profileUrl} at ${pageUrl}${page?.blocked ? ' (blocked)' : ''}`);
+            break;
+        }
+
+        const $ = cheerio.load(page.html);
+        const before = answers.length;
+        answers = dedupeAnswers([...answers, ...extractAnswersFromPage($, page.html, pageUrl)]);
+        if (answers.length === before) break;
+
+        pageUrl = extractNextPageUrlFromHtml($, pageUrl);
+        if (pageUrl) await sleep(throttled(throttle, randomBetween(200, 600)));
+    }
+
+    return limitAnswers(answers, maxAnswersPerLawyer);
+}
+
+export async function fetchHtml(url, { proxyUrl, userAgent, throttle }) {
+    const response = await gotScraping({
+        url,
+        headers: {
+            ...DEFAULT_HEADERS,
+            'User-Agent': userAgent,
+            'Sec-Fetch-Dest': 'document',
+            'Sec-Fetch-Mode': 'navigate',
+            'Sec-Fetch-Site': 'same-origin',
+        },
+        proxyUrl,
+        timeout: { request: 20000 },
+        retry: { limit: 0 },
+        throwHttpErrors: false,
+    });
+
+    if (isBlockedStatus(response.statusCode)) {
+        throttle?.record(true);
+        return { blocked: true };
+    }
+    if (response.statusCode !== 200) {
+        return null;
+    }
+
+    const html = typeof response.body === 'string' ? response.body : response.body.toString('utf-8');
+    const blocked = isBlockedHtml(html);
+    throttle?.record(blocked);
+    return blocked ? { blocked: true } : { html };
+}
+
+// onPage({ url, html, profile }) lets callers inspect the raw page, e.g. for extraction health checks
+export async function fetchLawyerProfile(profileUrl, options) {
+    const { proxyUrl, userAgent, includeReviews, maxReviewsPerLawyer, includeAnswers, maxAnswersPerLawyer, onPage, throttle } = options;
+    try {
+        const page = await fetchHtml(profileUrl, { proxyUrl, userAgent, throttle });
+        if (!page || page.blocked) return page;
+
+        const profile = parseLawyerProfile(page.html, profileUrl, { includeReviews, maxReviewsPerLawyer });
+        if (profile && onPage) await onPage({ url: profileUrl, html: page.html, profile });
+        if (profile && includeReviews) {
+            profile.reviews = await collectLawyerReviews(profileUrl, profile, {
+                proxyUrl,
+                userAgent,
+                maxReviewsPerLawyer,
+                throttle,
+            });
+        }
+        if (profile && includeAnswers) {
+            profile[ANSWERS_FIELD] = await collectLawyerAnswers(profileUrl, profile, {
+                proxyUrl,
+                userAgent,
+                maxAnswersPerLawyer,
+                throttle,
+            });
+        }
+        return profile;
+    } catch (error) {
+        log.debug(`Failed to fetch profile page ${profileUrl}: ${error.message}`);
+        return null;
+    }
+}
+
+async function enrichLawyer(lawyer, options) {
+    const { proxyUrl, userAgent, includeReviews, maxReviewsPerLawyer, includeAnswers, maxAnswersPerLawyer } = options;
+    const { onProfilePage, profileCache, throttle } = options;
+    if (!lawyer.profileUrl) return { lawyer, blocked: false };
+
+    const cacheOptions = { includeReviews, maxReviewsPerLawyer, includeAnswers, maxAnswersPerLawyer };
+    const cached = profileCache ? await profileCache.get(lawyer.profileUrl, cacheOptions) : null;
+    if (cached) return { lawyer: mergeProfileData(lawyer, cached), blocked: false };
+
+    const profileData = await fetchLawyerProfile(lawyer.profileUrl, {
+        proxyUrl,
+        userAgent,
+        includeReviews,
+        maxReviewsPerLawyer,
+        includeAnswers,
+        maxAnswersPerLawyer,
+        onPage: onProfilePage,
+        throttle,
+    });
+    if (profileData?.blocked) return { lawyer, blocked: true };
+    if (!profileData) return { lawyer, blocked: false };
+    if (profileCache) await profileCache.set(lawyer.profileUrl, profileData, cacheOptions);
+    return { lawyer: mergeProfileData(lawyer, profileData), blocked: false };
+}
+
+// Batch size and the pause between batches follow the throttle, so enrichment slows down with the crawler
+async function enrichInBatches(lawyers, options) {
+    const { maxConcurrency, throttle } = options;
+    const results = [];
+    while (results.length < lawyers.length) {
+        const batchSize = throttle ? throttle.concurrencyFor(maxConcurrency) : maxConcurrency;
+        const batch = lawyers.slice(results.length, results.length + batchSize);
+        results.push(...await Promise.all(batch.map((lawyer) => enrichLawyer(lawyer, options))));
+        if (results.length < lawyers.length) {
+            await sleep(throttled(throttle, PROFILE_BATCH_DELAY_MS));
+        }
+    }
+    return results;
+}
+
+// Blocked profiles are tried again after the rest, with a growing pause and a fresh proxy
+// session and user agent from newSession() when the caller provides one. Pauses are taken from
+// waitBudget; once it is used up, the remaining rounds are given up.
+async function retryBlockedProfiles(lawyers, results, options, round = 1) {
+    const { maxBlockedRetries = 0, blockedRetryDelayMs = BLOCKED_RETRY_DELAY_MS, newSession, throttle, waitBudget } = options;
+    const blockedIndexes = results.flatMap((result, index) => (result.blocked ? [index] : []));
+    if (blockedIndexes.length === 0 || round > maxBlockedRetries) return results;
+
+    const waitMs = waitBudget.take(throttled(throttle, blockedRetryDelayMs * round));
+    if (waitMs <= 0) {
+        log.debug(`Giving up on ${blockedIndexes.length} blocked profile pages after ${round - 1} retries`);
+        return results;
+    }
+    await sleep(waitMs);
+    const session = newSession ? await newSession() : {};
+    const retried = await enrichInBatches(blockedIndexes.map((index) => lawyers[index]), { ...options, ...session });
+
+    const updated = [...results];
+    blockedIndexes.forEach((index, position) => {
+        updated[index] = retried[position];
+    });
+    const recovered = retried.filter((result) => !result.blocked).length;
+    log.info(`Retried ${blockedIndexes.length} blocked profile pages (attempt ${round}): ${recovered} recovered`);
+    return retryBlockedProfiles(lawyers, updated, options, round + 1);
+}
+
+export async function enrichLawyersWithProfiles(lawyers, options) {
+    if (lawyers.length === 0) return lawyers;
+
+    const { maxBlockedRetryWaitMs = MAX_BLOCKED_RETRY_WAIT_MS } = options;
+    const waitBudget = options.waitBudget || createWaitBudget(maxBlockedRetryWaitMs);
+    const results = await retryBlockedProfiles(lawyers, await enrichInBatches(lawyers, options), { ...options, waitBudget });
+    const blockedCount = results.filter((result) => result.blocked).length;
+    if (blockedCount > 0) {
+        log.warning(`${blockedCount} profile pages were blocked - using listing data only.`);
+    }
+    return results.map((result) => result.lawyer);
+}
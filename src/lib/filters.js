@@ -0,0 +1,94 @@
+import { PRACTICE_AREAS, resolvePracticeAreaSlug, toInputList } from './catalog.js';
+import { normalizeArray, normalizeText, slugify, toNumber } from './utils.js';
+
+export const FILTER_NAMES = [
+    'minAvvoRating',
+    'maxAvvoRating',
+    'minClientRating',
+    'minReviewCount',
+    'minYearsLicensed',
+    'requiredLanguages',
+    'requiredPracticeAreas',
+    'requireEmail',
+    'requirePhone',
+    'requireWebsite',
+];
+
+function hasValue(value) {
+    return normalizeArray(value).length > 0;
+}
+
+// Practice area terms match either the catalog label or free text ("bankruptcy-debt", "Bankruptcy & Debt", "Bankruptcy")
+function practiceAreaTerms(value) {
+    const slug = resolvePracticeAreaSlug(value);
+    return slug ? [slug, slugify(PRACTICE_AREAS[slug])] : [slugify(value)];
+}
+
+function practiceAreaMatches(area, terms) {
+    const areaSlug = slugify(area);
+    if (!areaSlug) return false;
+    return terms.some((term) => areaSlug === term || areaSlug.includes(term) || term.includes(areaSlug));
+}
+
+function yearsLicensed(lawyer) {
+    const year = toNumber(lawyer.licenseYear);
+    return year ? new Date().getUTCFullYear() - year : null;
+}
+
+// Each check returns true/false, or null when the record does not carry the field yet
+const FILTER_CHECKS = {
+    minAvvoRating: (lawyer, min) => (lawyer.avvoRating == null ? null : lawyer.avvoRating >= min),
+    maxAvvoRating: (lawyer, max) => (lawyer.avvoRating == null ? null : lawyer.avvoRating <= max),
+    minClientRating: (lawyer, min) => (lawyer.clientRating == null ? null : lawyer.clientRating >= min),
+    minReviewCount: (lawyer, min) => (lawyer.reviewCount == null ? null : lawyer.reviewCount >= min),
+    minYearsLicensed: (lawyer, min) => {
+        const years = yearsLicensed(lawyer);
+        return years == null ? null : years >= min;
+    },
+    requiredLanguages: (lawyer, languages) => {
+        const spoken = normalizeArray(lawyer.languages).map((language) => normalizeText(language).toLowerCase());
+        if (spoken.length === 0) return null;
+        return languages.every((language) => spoken.includes(language));
+    },
+    requiredPracticeAreas: (lawyer, termGroups) => {
+        const areas = normalizeArray(lawyer.practiceAreas);
+        if (areas.length === 0) return null;
+        return termGroups.some((terms) => areas.some((area) => practiceAreaMatches(area, terms)));
+    },
+    requireEmail: (lawyer) => (hasValue(lawyer.email) ? true : null),
+    requirePhone: (lawyer) => (hasValue(lawyer.phone) ? true : null),
+    requireWebsite: (lawyer) => (hasValue(lawyer.website) ? true : null),
+};
+
+// Returns the active filters from actor input, or null when no filter is set
+export function buildLawyerFilters(input = {}) {
+    const filters = {};
+    ['minAvvoRating', 'maxAvvoRating', 'minClientRating', 'minReviewCount', 'minYearsLicensed'].forEach((name) => {
+        const value = toNumber(input[name]);
+        if (value != null) filters[name] = value;
+    });
+
+    const languages = toInputList(input.requiredLanguages).map((language) => language.toLowerCase());
+    if (languages.length > 0) filters.requiredLanguages = languages;
+
+    const practiceAreas = toInputList(input.requiredPracticeAreas).map(practiceAreaTerms);
+    if (practiceAreas.length > 0) filters.requiredPracticeAreas = practiceAreas;
+
+    ['requireEmail', 'requirePhone', 'requireWebsite'].forEach((name) => {
+        if (input[name]) filters[name] = true;
+    });
+
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+// Returns the first filter the lawyer fails, or null. With allowMissing, fields that
+// profile enrichment may still fill in do not count as failures yet.
+export function findFailedFilter(lawyer, filters, { allowMissing = false } = {}) {
+    if (!filters) return null;
+    for (const name of FILTER_NAMES) {
+        if (!(name in filters)) continue;
+        const result = FILTER_CHECKS[name](lawyer, filters[name]);
+        if (result === false || (result === null && !allowMissing)) return name;
+    }
+    return null;
+}
@@ -0,0 +1,93 @@
+import { normalizeExternalWebsite } from './contacts.js';
+import { normalizeOffice } from './offices.js';
+import { normalizeArray, normalizeText, pickFirst, slugify, toNumber } from './utils.js';
+
+const FIRM_SUFFIX_PATTERN = /\b(llc|llp|pllc|pc|p\.c\.|pa|p\.a\.|ltd|inc|attorneys? at law|law (?:firm|group|offices?)(?: of)?)\b/gi;
+
+function firmIdFor(name) {
+    return slugify(normalizeText(name).replace(FIRM_SUFFIX_PATTERN, ' ')) || slugify(name);
+}
+
+function toFirmSize(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'object') return toNumber(pickFirst(value.value, value.maxValue, value.minValue));
+    return toNumber(value);
+}
+
+export function normalizeFirm(raw, baseUrl) {
+    if (!raw) return null;
+    if (Array.isArray(raw)) return normalizeFirm(raw.find(Boolean), baseUrl);
+
+    const source = typeof raw === 'string' ? { name: raw } : raw;
+    if (typeof source !== 'object') return null;
+    const name = normalizeText(pickFirst(source.name, source.legalName, source.firmName, source.title));
+    if (!name) return null;
+
+    const firmAddress = pickFirst(source.address, source.location);
+    const office = normalizeOffice(Array.isArray(firmAddress) ? firmAddress[0] : firmAddress);
+    const externalSameAs = normalizeArray(source.sameAs).find((item) => typeof item === 'string' && !item.includes('avvo.com'));
+
+    return {
+        id: firmIdFor(name),
+        name,
+        website: normalizeExternalWebsite(pickFirst(source.website, source.url, externalSameAs), baseUrl),
+        address: office ? { street: office.street, city: office.city, state: office.state, zip: office.zip } : null,
+        size: toFirmSize(pickFirst(source.numberOfEmployees, source.size, source.attorneyCount, source.lawyerCount)),
+    };
+}
+
+export function addLawyerToFirm(lawyer, options) {
+    const { firms } = options;
+    const { firm } = lawyer;
+    if (!firm?.id) return;
+
+    if (!firms[firm.id]) {
+        firms[firm.id] = {
+            id: firm.id,
+            name: firm.name,
+            website: '',
+            address: null,
+            size: null,
+            attorneys: [],
+            practiceAreaCounts: {},
+            avvoRatings: [],
+            clientRatings: [],
+            totalReviews: 0,
+        };
+    }
+    const entry = firms[firm.id];
+    entry.website = entry.website || firm.website || lawyer.website || '';
+    entry.address = entry.address || firm.address;
+    entry.size = entry.size ?? firm.size;
+    entry.attorneys.push(lawyer.profileUrl || lawyer.name);
+    (lawyer.practiceAreas || []).forEach((area) => {
+        entry.practiceAreaCounts[area] = (entry.practiceAreaCounts[area] || 0) + 1;
+    });
+    if (lawyer.avvoRating) entry.avvoRatings.push(lawyer.avvoRating);
+    if (lawyer.clientRating) entry.clientRatings.push(lawyer.clientRating);
+    entry.totalReviews += lawyer.reviewCount || 0;
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+}
+
+export function buildFirmRecords(firms) {
+    return Object.values(firms).map((entry) => ({
+        firmId: entry.id,
+        name: entry.name,
+        website: entry.website,
+        address: entry.address,
+        size: entry.size,
+        attorneyCount: entry.attorneys.length,
+        attorneys: entry.attorneys,
+        practiceAreas: Object.entries(entry.practiceAreaCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([area]) => area),
+        averageAvvoRating: average(entry.avvoRatings),
+        averageClientRating: average(entry.clientRatings),
+        totalReviews: entry.totalReviews,
+        scrapedAt: new Date().toISOString(),
+    }));
+}
@@ -0,0 +1,109 @@
+// Fields whose fill rate is tracked; a drop usually means Avvo changed its markup
+export const HEALTH_FIELDS = [
+    'name',
+    'rating',
+    'avvoRating',
+    'clientRating',
+    'reviewCount',
+    'practiceAreas',
+    'location',
+    'offices',
+    'firm',
+    'phone',
+    'email',
+    'website',
+    'licenseYear',
+    'licenses',
+    'languages',
+    'bio',
+    'image',
+    'profileUrl',
+];
+
+// listing: records parsed from search pages and API responses, profile: records parsed from
+// profile pages, output: the records that were pushed
+export const HEALTH_SCOPES = ['listing', 'profile', 'output'];
+
+export function createHealthState() {
+    return Object.fromEntries(HEALTH_SCOPES.map((scope) => [scope, { records: 0, filled: {} }]));
+}
+
+export function isFieldFilled(record, field) {
+    const value = record?.[field];
+    if (field === 'name') return Boolean(value) && value !== 'Unknown';
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && value !== undefined && value !== '';
+}
+
+export function recordFillRates(records, options) {
+    const { health, scope } = options;
+    const bucket = health[scope];
+    bucket.records += records.length;
+    HEALTH_FIELDS.forEach((field) => {
+        const filled = records.filter((record) => isFieldFilled(record, field)).length;
+        if (filled > 0) bucket.filled[field] = (bucket.filled[field] || 0) + filled;
+    });
+}
+
+export function computeFillRates(bucket) {
+    if (!bucket?.records) return {};
+    return Object.fromEntries(HEALTH_FIELDS.map((field) => [
+        field,
+        Math.round(((bucket.filled[field] || 0) / bucket.records) * 1000) / 1000,
+    ]));
+}
+
+// Fields the baseline almost always sees filled but none of these records have - used to pick pages worth saving
+export function findDriftedFields(records, baselineRates = {}, { minBaselineRate = 0.8 } = {}) {
+    if (records.length === 0) return [];
+    return HEALTH_FIELDS.filter((field) => (baselineRates[field] ?? 0) >= minBaselineRate
+        && !records.some((record) => isFieldFilled(record, field)));
+}
+
+// A field drops when it loses at least dropThreshold of its baseline rate (0.5 = half). Fields rarely
+// filled in the baseline and scopes with fewer than minRecords records on either side are not judged.
+export function evaluateHealth(health, baseline, { dropThreshold = 0.5, minRecords = 10, minBaselineRate = 0.2 } = {}) {
+    const scopes = {};
+    let judged = false;
+    HEALTH_SCOPES.forEach((scope) => {
+        const { records } = health[scope];
+        const fillRates = computeFillRates(health[scope]);
+        const baselineScope = baseline?.scopes?.[scope];
+        const comparable = records >= minRecords && (baselineScope?.records || 0) >= minRecords;
+        judged = judged || comparable;
+        const drops = !comparable ? [] : HEALTH_FIELDS
+            .filter((field) => {
+                const expected = baselineScope.fillRates[field] ?? 0;
+                return expected >= minBaselineRate && (expected - fillRates[field]) / expected >= dropThreshold;
+            })
+            .map((field) => ({ field, baseline: baselineScope.fillRates[field], current: fillRates[field] }));
+        scopes[scope] = { records, fillRates, drops };
+    });
+
+    const degraded = Object.values(scopes).some(({ drops }) => drops.length > 0);
+    let status = 'insufficientData';
+    if (degraded) status = 'degraded';
+    else if (judged) status = 'healthy';
+    return { status, scopes };
+}
+
+// Rolling baseline: each run moves the stored rates `weight` of the way towards its own rates.
+// Returns null when no scope saw enough records to be worth learning from.
+export function updateBaseline(baseline, health, { weight = 0.3, minRecords = 10 } = {}) {
+    const learnable = HEALTH_SCOPES.filter((scope) => health[scope].records >= minRecords);
+    if (learnable.length === 0) return null;
+
+    const scopes = { ...(baseline?.scopes || {}) };
+    learnable.forEach((scope) => {
+        const { records } = health[scope];
+        const current = computeFillRates(health[scope]);
+        const previous = scopes[scope];
+        const fillRates = Object.fromEntries(HEALTH_FIELDS.map((field) => {
+            const before = previous?.fillRates?.[field];
+            const rate = before === undefined ? current[field] : before + (current[field] - before) * weight;
+            return [field, Math.round(rate * 1000) / 1000];
+        }));
+        scopes[scope] = { records, fillRates };
+    });
+    return { runs: (baseline?.runs || 0) + 1, updatedAt: new Date().toISOString(), scopes };
+}
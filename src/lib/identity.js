@@ -0,0 +1,169 @@
+import { mergeProvenance, PROVENANCE_FIELD } from './provenance.js';
+import { normalizeText } from './utils.js';
+
+const NAME_SUFFIXES = new Set(['esq', 'esquire', 'jr', 'sr', 'ii', 'iii', 'iv', 'jd', 'llm', 'phd', 'mba', 'cpa']);
+
+// Array fields that are unioned when two records describe the same lawyer
+const UNION_FIELDS = ['practiceAreas', 'licenseStates', 'barAdmissions', 'languages', 'education', 'awards', 'certifications'];
+
+// Avvo profile URLs end in a numeric ID ("/attorneys/35203-al-jane-roe-101.html"); the slug
+// before it changes with the listing, state prefix or name spelling, the ID does not
+export function profileIdFromUrl(url) {
+    if (!url) return null;
+    try {
+        const match = new URL(url).pathname.match(/^\/attorneys?\/[^/]*?(\d+)\.html$/i);
+        return match ? match[1] : null;
+    } catch {
+        return null;
+    }
+}
+
+// "Jane A. Roe, Esq." and "jane roe" both become "jane roe"; initials and suffixes are dropped
+export function nameKeyFor(name) {
+    const tokens = normalizeText(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z\s-]/g, ' ')
+        .split(/[\s-]+/)
+        .filter((token) => token.length > 1 && !NAME_SUFFIXES.has(token));
+    if (tokens.length === 0 || tokens[0] === 'unknown') return null;
+    return tokens.length > 1 ? `${tokens[0]} ${tokens[tokens.length - 1]}` : tokens[0];
+}
+
+function phoneKeyFor(lawyer) {
+    const digits = String(lawyer.phone || lawyer.offices?.find((office) => office.phone)?.phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function cityKeyFor(lawyer) {
+    const city = lawyer.offices?.find((office) => office.city)?.city || String(lawyer.location || '').split(',')[0];
+    return normalizeText(city).toLowerCase() || null;
+}
+
+export function identityOf(lawyer) {
+    return {
+        profileId: profileIdFromUrl(lawyer.profileUrl),
+        nameKey: nameKeyFor(lawyer.name),
+        phoneKey: phoneKeyFor(lawyer),
+        cityKey: cityKeyFor(lawyer),
+    };
+}
+
+// Remembers every lawyer accepted so far by profile ID and by name + phone / name + city.
+// Two different profile IDs never match, so namesakes in the same city stay separate.
+// `profiles` may be a Map-like store kept across runs (e.g. a chunked key-value map): lawyers
+// known from earlier runs are matched but only count as duplicates once sighted again in `runId`.
+export function createIdentityIndex(restored = [], options = {}) {
+    const { profiles = new Map(), runId = null } = options;
+    const byProfileId = new Map();
+    const byNamePhone = new Map();
+    const byNameCity = new Map();
+
+    const index = (key, identity) => {
+        if (identity.profileId) byProfileId.set(identity.profileId, key);
+        if (!identity.nameKey) return;
+        if (identity.phoneKey) byNamePhone.set(`${identity.nameKey}|${identity.phoneKey}`, key);
+        if (identity.cityKey) byNameCity.set(`${identity.nameKey}|${identity.cityKey}`, key);
+    };
+
+    const add = (key, identity) => {
+        profiles.set(key, identity);
+        index(key, identity);
+    };
+
+    const fuzzyMatch = (identity) => {
+        if (!identity.nameKey) return null;
+        const candidates = [
+            identity.phoneKey && byNamePhone.get(`${identity.nameKey}|${identity.phoneKey}`),
+            identity.cityKey && byNameCity.get(`${identity.nameKey}|${identity.cityKey}`),
+        ].filter(Boolean);
+        return candidates.find((key) => {
+            const knownId = profiles.get(key)?.profileId;
+            return !knownId || !identity.profileId || knownId === identity.profileId;
+        }) || null;
+    };
+
+    const find = (identity) => (identity.profileId && byProfileId.get(identity.profileId)) || fuzzyMatch(identity);
+
+    [...profiles.entries()].forEach(([key, identity]) => index(key, identity));
+    restored.forEach(([key, identity]) => add(key, identity));
+
+    return {
+        // Returns the key the lawyer was first accepted under in this run, or null after claiming
+        // it for this run under `key`
+        resolve(lawyer, key) {
+            const identity = identityOf(lawyer);
+            const existing = find(identity);
+            if (!existing) {
+                add(key, { ...identity, runId });
+                return null;
+            }
+
+            // Learn the newcomer's phone, city or ID so later variants match too
+            const known = profiles.get(existing);
+            const duplicate = known.runId === runId;
+            const runKey = duplicate ? (known.runKey || existing) : key;
+            add(existing, {
+                profileId: known.profileId || identity.profileId,
+                nameKey: known.nameKey || identity.nameKey,
+                phoneKey: identity.phoneKey || known.phoneKey,
+                cityKey: identity.cityKey || known.cityKey,
+                runId,
+                // Only stored when this run's key differs from the one an earlier run knew the lawyer by
+                ...(runKey !== existing ? { runKey } : {}),
+            });
+            return duplicate ? runKey : null;
+        },
+        // Key the lawyer was first known by, in this or an earlier run
+        keyOf(lawyer) {
+            return find(identityOf(lawyer));
+        },
+        has(key) {
+            return profiles.has(key);
+        },
+        get size() {
+            return profiles.size;
+        },
+        toJSON() {
+            return [...profiles.entries()];
+        },
+    };
+}
+
+function isFilled(value) {
+    if (value == null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.keys(value).length > 0;
+    return true;
+}
+
+function richness(lawyer) {
+    return Object.values(lawyer).filter(isFilled).length;
+}
+
+// Combines two records of the same lawyer: the richer one wins each conflict, gaps are filled
+// from the other and list fields are unioned
+export function mergeLawyerRecords(first, second) {
+    const [primary, secondary] = richness(second) > richness(first) ? [second, first] : [first, second];
+    const merged = { ...primary };
+
+    Object.entries(secondary).forEach(([field, value]) => {
+        if (field === PROVENANCE_FIELD) return;
+        if (!isFilled(merged[field]) && isFilled(value)) merged[field] = value;
+    });
+
+    UNION_FIELDS.forEach((field) => {
+        if (!Array.isArray(primary[field]) || !Array.isArray(secondary[field])) return;
+        const seen = new Set(primary[field].map((item) => JSON.stringify(item)));
+        merged[field] = [...primary[field], ...secondary[field].filter((item) => !seen.has(JSON.stringify(item)))];
+    });
+
+    // Keep the first URL seen so the lawyer key stays stable for pending batches and snapshots
+    if (first.profileUrl) merged.profileUrl = first.profileUrl;
+
+    if (primary[PROVENANCE_FIELD] || secondary[PROVENANCE_FIELD]) {
+        merged[PROVENANCE_FIELD] = mergeProvenance(secondary, primary, merged);
+    }
+    return merged;
+}
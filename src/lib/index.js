@@ -0,0 +1,67 @@
+// Public entry point for using the Avvo extractors outside the Apify actor.
+// Parsers and normalizers are pure (HTML or JSON in, records out); fetchers
+// only depend on got-scraping and never touch Actor storage. Logging goes
+// through @apify/log unless another logger is passed to setLogger().
+export {
+    buildAnswersUrl,
+    extractAnswersFromPage,
+    extractAnswerStatsFromHtml,
+    normalizeAnswer,
+    normalizeAnswerStats,
+} from './answers.js';
+export { createBrowserRenderer } from './browser.js';
+export { createProfileCache, profileCacheKeyFor } from './cache.js';
+export { AVVO_BASE_URL, buildSearchUrl, buildSearchUrls, isProfileUrl, PRACTICE_AREAS, US_STATES } from './catalog.js';
+export { applySnapshot, applySnapshotUpdate, diffLawyerRecords, lawyerKeyFor } from './changes.js';
+export { openChunkedMap } from './chunked-store.js';
+export { normalizeEmail, normalizeExternalWebsite, normalizePhone } from './contacts.js';
+export { buildCrmPayload, CRM_FORMATS, splitName, toHubSpotContact, toSalesforceLead } from './crm.js';
+export { buildExportRows, EXPLODE_MODES, explodeRecord, EXPORT_FORMATS, flattenRecord, serializeExport, toCsv, toJsonl } from './export.js';
+export { collectLawyerAnswers, collectLawyerReviews, enrichLawyersWithProfiles, fetchHtml, fetchLawyerProfile } from './fetch.js';
+export { buildLawyerFilters, FILTER_NAMES, findFailedFilter } from './filters.js';
+export { addLawyerToFirm, buildFirmRecords, normalizeFirm } from './firms.js';
+export {
+    computeFillRates,
+    createHealthState,
+    evaluateHealth,
+    findDriftedFields,
+    HEALTH_FIELDS,
+    recordFillRates,
+    updateBaseline,
+} from './health.js';
+export { createIdentityIndex, identityOf, mergeLawyerRecords, nameKeyFor, profileIdFromUrl } from './identity.js';
+export { normalizeLawyer } from './lawyer.js';
+export { extractLicensesFromHtml, normalizeLicense } from './licenses.js';
+export {
+    extractApiUrlsFromHtml,
+    extractLawyersFromApiJson,
+    extractLawyersFromJsonLd,
+    extractListingLawyers,
+    extractNextPageUrlFromApi,
+    extractNextPageUrlFromHtml,
+    extractSubdirectoryLinks,
+    filterSubdirectoryLinks,
+} from './listing.js';
+export { setLogger } from './log.js';
+export { extractOfficesFromHtml, normalizeOffice } from './offices.js';
+export { buildOutputShaper, OUTPUT_PROFILES } from './output.js';
+export { buildPageUrl, extractPaginationInfo, pageNumberOf, resultSetSignature } from './pagination.js';
+export { mergeProfileData, parseLawyerProfile } from './profile.js';
+export { PROVENANCE_FIELD, withExtractionSource, withoutProvenance } from './provenance.js';
+export { extractReviewsFromPage, normalizeReview } from './reviews.js';
+export {
+    buildSitemapUrlFilter,
+    collectSitemapUrls,
+    decodeSitemapBody,
+    DEFAULT_SITEMAP_URLS,
+    parseSitemap,
+} from './sitemap.js';
+export { createThrottle, createWaitBudget, isBlockedStatus } from './throttle.js';
+export {
+    IDEMPOTENCY_HEADER,
+    idempotencyKeyFor,
+    postWebhook,
+    SIGNATURE_HEADER,
+    signPayload,
+    TIMESTAMP_HEADER,
+} from './webhook.js';
@@ -0,0 +1,182 @@
+import { normalizeAnswerStats } from './answers.js';
+import { buildContactFields } from './contacts.js';
+import { normalizeFirm } from './firms.js';
+import { normalizeLicense } from './licenses.js';
+import { finalizeOffices, formatOfficeLocation, normalizeOffice, toCoordinates } from './offices.js';
+import { normalizeReview } from './reviews.js';
+import { normalizeArray, normalizeImage, normalizeText, normalizeUrl, pickFirst, toInt, toNumber } from './utils.js';
+
+export function normalizeLawyer(raw, baseUrl) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = normalizeText(pickFirst(raw.name, raw.fullName, raw.displayName, raw.title));
+    const profileUrl = normalizeUrl(pickFirst(raw.profileUrl, raw.profile_url, raw.url, raw.link), baseUrl);
+    const locationParts = [
+        typeof raw.location === 'string' ? raw.location : '',
+        raw.city,
+        raw.state,
+        raw.region,
+        raw.postalCode,
+        raw.zip,
+    ].filter((part) => typeof part === 'string' && part);
+    const practiceAreas = normalizeArray(
+        pickFirst(
+            raw.practiceAreas,
+            raw.practice_areas,
+            raw.specialties,
+            raw.practiceArea,
+            raw.tags,
+            raw.knowsAbout,
+            raw.areaServed
+        )
+    ).map(normalizeText).filter(Boolean);
+
+    const contactPoints = normalizeArray(raw.contactPoint).filter((item) => item && typeof item === 'object');
+    const contactPhone = contactPoints.map((item) => item.telephone || item.phone).find(Boolean);
+
+    // Enhanced image extraction with better prioritization
+    const image = normalizeImage(
+        pickFirst(raw.image, raw.photo, raw.logo, raw.profilePhoto, raw.avatar, raw.photoUrl, raw.imageUrl),
+        baseUrl
+    );
+
+    const contactInfo = raw.contactInfo || raw.contact || {};
+    const contactWebsite = contactInfo.website || contactInfo.url || contactInfo.site;
+
+    const sameAs = normalizeArray(raw.sameAs);
+    const externalSameAs = sameAs.find((item) => typeof item === 'string' && !item.includes('avvo.com'));
+
+    // Every candidate is tried in order so an invalid first value does not hide a valid later one
+    const toCandidates = (...values) => values.map((value) => ({ value }));
+    const contact = buildContactFields({
+        phone: toCandidates(raw.phone, raw.phoneNumber, raw.telephone, contactPhone, contactInfo.phone),
+        email: toCandidates(raw.email, ...contactPoints.map((item) => item.email), contactInfo.email),
+        website: toCandidates(raw.website, raw.websiteUrl, contactWebsite, externalSameAs),
+    }, baseUrl);
+
+    // Extract coordinates from geo field
+    const coordinates = toCoordinates(raw.geo);
+
+    // Offices come from JSON-LD address arrays, embedded office/location lists or a single address
+    const officeDefaults = { firmName: raw['@type'] === 'LegalService' ? normalizeText(raw.name) : '' };
+    // Address strings contain commas, so wrap them instead of splitting like normalizeArray would
+    const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+    const offices = finalizeOffices([
+        ...toList(pickFirst(raw.offices, raw.locations)),
+        ...(raw.location && typeof raw.location === 'object' ? toList(raw.location) : []),
+        ...toList(raw.address),
+        ...(raw.city ? [{ city: raw.city, state: raw.state || raw.region, zip: raw.postalCode || raw.zip }] : []),
+    ].map((office) => normalizeOffice(office, officeDefaults)));
+    if (offices[0] && !offices[0].coordinates) offices[0].coordinates = coordinates;
+
+    const location = formatOfficeLocation(offices[0]) || normalizeText(locationParts.join(', '));
+
+    // A LegalService node is the firm itself; attorneys point at theirs through worksFor
+    const firm = raw['@type'] === 'LegalService'
+        ? normalizeFirm(raw, baseUrl)
+        : normalizeFirm(
+            pickFirst(raw.worksFor, raw.firm, raw.lawFirm, raw.firmName, raw.organization, offices[0]?.firmName),
+            baseUrl
+        );
+
+    // Extract education/alumni data
+    const alumniOf = normalizeArray(raw.alumniOf || raw.alumni);
+    const educationList = normalizeArray(raw.education);
+    const combinedEducation = [...alumniOf, ...educationList]
+        .map((item) => {
+            if (typeof item === 'string') return normalizeText(item);
+            if (item && typeof item === 'object') {
+                const schoolName = normalizeText(item.name || item.school || item.institution);
+                return schoolName || normalizeText(item.description);
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    // Extract awards
+    const awardsList = normalizeArray(pickFirst(raw.award, raw.awards, raw.honors));
+    const processedAwards = awardsList
+        .map((item) => {
+            if (typeof item === 'string') return normalizeText(item);
+            if (item && typeof item === 'object') {
+                return normalizeText(item.name || item.title || item.description);
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    // Extract license states/jurisdictions
+    const memberOf = normalizeArray(raw.memberOf || raw.jurisdiction);
+    const licenseStates = memberOf
+        .map((item) => {
+            if (typeof item === 'string') return normalizeText(item);
+            if (item && typeof item === 'object') {
+                return normalizeText(item.name || item.state || item.jurisdiction);
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    // Extract certifications
+    const credentials = normalizeArray(raw.hasCredential || raw.credentials || raw.certifications);
+    const certificationsList = credentials
+        .map((item) => {
+            if (typeof item === 'string') return normalizeText(item);
+            if (item && typeof item === 'object') {
+                return normalizeText(item.name || item.title || item.credential);
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    // Separate Avvo rating (0-10 scale) from client rating (aggregateRating)
+    const avvoRating = toNumber(pickFirst(raw.avvoRating, raw.avvo_rating));
+    const clientRating = toNumber(raw.aggregateRating?.ratingValue);
+
+    // Use avvoRating if available, otherwise fall back to aggregateRating or generic rating
+    const primaryRating = avvoRating || clientRating || toNumber(pickFirst(raw.rating, raw.ratingValue));
+
+    const reviewCountValue = pickFirst(
+        raw.reviewCount,
+        raw.review_count,
+        raw.reviews?.length,
+        raw.aggregateRating?.reviewCount,
+        raw.aggregateRating?.ratingCount
+    );
+
+    return {
+        name: name || 'Unknown',
+        rating: primaryRating,
+        avvoRating: avvoRating,
+        clientRating: clientRating,
+        // A missing count stays null so minReviewCount can wait for the profile page
+        reviewCount: reviewCountValue === null ? null : toInt(reviewCountValue),
+        ...normalizeAnswerStats(raw),
+        practiceAreas,
+        location,
+        offices,
+        firm,
+        phone: contact.phone,
+        phoneExtension: contact.phoneExtension,
+        email: contact.email,
+        website: contact.website,
+        licenseYear: null, // Will be set from HTML parsing
+        licenseStates,
+        licenses: normalizeArray(raw.licenses).map(normalizeLicense).filter(Boolean),
+        barAdmissions: normalizeArray(raw.barAdmissions).map(normalizeText).filter(Boolean),
+        // JSON-LD knowsLanguage holds strings or { "@type": "Language", "name": "Spanish" } nodes
+        languages: normalizeArray(pickFirst(raw.languages, raw.language, raw.knowsLanguage))
+            .map((language) => normalizeText(typeof language === 'object' ? language.name : language))
+            .filter(Boolean),
+        profileUrl,
+        bio: normalizeText(pickFirst(raw.bio, raw.biography, raw.summary, raw.about, raw.description)),
+        education: combinedEducation,
+        awards: processedAwards,
+        certifications: certificationsList,
+        reviews: normalizeArray(pickFirst(raw.reviews, raw.review)).map(normalizeReview).filter(Boolean),
+        image,
+        coordinates: coordinates || offices[0]?.coordinates || null,
+        contactQuality: contact.contactQuality,
+        scrapedAt: new Date().toISOString(),
+    };
+}
@@ -0,0 +1,185 @@
+import { findStateInText } from './catalog.js';
+import { normalizeArray, normalizeDate, normalizeText, pickFirst, toNumber } from './utils.js';
+
+export function extractLicenseYear($, html) {
+    // Look for "Licensed for X years" text in HTML
+    const licenseMatch = html.match(/Licensed for (\d+) years/i);
+    if (licenseMatch) {
+        const yearsLicensed = parseInt(licenseMatch[1], 10);
+        const currentYear = new Date().getFullYear();
+        return currentYear - yearsLicensed;
+    }
+
+    // Fallback to HTML selectors
+    if ($) {
+        const licenseYearEl = $('[data-testid="license-year"], .license-year, [class*="license-year"]').first();
+        const yearText = normalizeText(licenseYearEl.text());
+        const yearMatch = yearText.match(/(\d{4})/);
+        if (yearMatch) {
+            return parseInt(yearMatch[1], 10);
+        }
+
+        // Try to extract from "First Licensed" text
+        const firstLicensedEl = $('[class*="first-licensed"], [class*="admitted"]').first();
+        const firstLicensedText = normalizeText(firstLicensedEl.text());
+        const firstLicensedMatch = firstLicensedText.match(/(\d{4})/);
+        if (firstLicensedMatch) {
+            return parseInt(firstLicensedMatch[1], 10);
+        }
+    }
+
+    return null;
+}
+
+export function earliestLicenseYear(licenses) {
+    const years = (licenses || []).map((license) => license.yearAdmitted).filter(Boolean);
+    return years.length > 0 ? Math.min(...years) : null;
+}
+
+const LICENSE_STATUS_PATTERN = /\b(active|inactive|suspended|disbarred|revoked|retired|resigned|deceased|not eligible|in good standing)\b/i;
+
+const SANCTION_TYPE_PATTERN = /\b((?:public |private )?(?:disbar\w*|suspen\w*|reprimand\w*|censure\w*|probation|admonish\w*|admonition|revo\w*|resign\w* with charges pending))\b/i;
+
+function normalizeLicenseStatus(value) {
+    const match = normalizeText(value).match(LICENSE_STATUS_PATTERN);
+    if (!match) return '';
+    const status = match[1].toLowerCase();
+    return status === 'in good standing' ? 'active' : status;
+}
+
+export function normalizeLicense(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const text = normalizeText(Object.values(raw).filter((value) => typeof value !== 'object').join(' '));
+    const license = {
+        state: findStateInText(pickFirst(raw.state, raw.jurisdiction, raw.name)) || normalizeText(raw.stateCode).toUpperCase(),
+        yearAdmitted: toNumber(
+            normalizeText(pickFirst(raw.yearAdmitted, raw.acquired, raw.admitted, raw.licensedSince, raw.year))
+                .match(/\b(19|20)\d{2}\b/)?.[0]
+        ),
+        status: normalizeLicenseStatus(pickFirst(raw.status, raw.licenseStatus)) || normalizeLicenseStatus(text),
+        licenseNumber: normalizeText(pickFirst(raw.licenseNumber, raw.number, raw.barNumber)),
+        disciplinaryActions: normalizeArray(pickFirst(raw.disciplinaryActions, raw.sanctions))
+            .map((item) => (typeof item === 'object' ? normalizeSanction(item) : parseSanctionText(item)))
+            .filter(Boolean),
+    };
+    return license.state || license.licenseNumber ? license : null;
+}
+
+function parseLicenseText(text) {
+    const value = normalizeText(text);
+    if (!value) return null;
+    const yearMatch = value.match(/(?:acquired|admitted|licensed(?: since| in)?|year)\D{0,10}((?:19|20)\d{2})/i)
+        || value.match(/\b((?:19|20)\d{2})\b/);
+    const numberMatch = value.match(/(?:license|bar)\s*(?:no\.?|number|#)\s*:?\s*([A-Z0-9-]{3,})/i);
+    return normalizeLicense({
+        state: value,
+        yearAdmitted: yearMatch?.[1],
+        status: value,
+        licenseNumber: numberMatch?.[1],
+    });
+}
+
+function normalizeSanction(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const description = normalizeText(pickFirst(raw.description, raw.details, raw.text, raw.summary));
+    const action = normalizeText(pickFirst(raw.action, raw.type, raw.sanction, raw.sanctionType))
+        || normalizeText(description.match(SANCTION_TYPE_PATTERN)?.[1]);
+    if (!action && !description) return null;
+    return {
+        state: findStateInText(pickFirst(raw.state, raw.jurisdiction)) || findStateInText(description),
+        date: normalizeDate(pickFirst(raw.date, raw.dateIssued, raw.year)),
+        action,
+        description,
+    };
+}
+
+function parseSanctionText(text) {
+    const value = normalizeText(text);
+    if (!value || /no instances|no (known )?(sanctions|misconduct)/i.test(value)) return null;
+    const dateMatch = value.match(/\b(\d{1,2}\/\d{1,2}\/\d{4}|\w+ \d{1,2}, \d{4}|(?:19|20)\d{2})\b/);
+    return normalizeSanction({ state: value, date: dateMatch?.[1], description: value });
+}
+
+function findProfileSection($, selector, headingPattern) {
+    const direct = $(selector).first();
+    if (direct.length) return direct;
+    const heading = $('h2, h3, h4').filter((_, el) => headingPattern.test(normalizeText($(el).text()))).first();
+    if (!heading.length) return direct;
+    const section = heading.closest('section');
+    return section.length ? section : heading.parent();
+}
+
+// Reads tables (header -> cell) or list items inside a profile section
+function extractSectionRows($, $section, itemSelector) {
+    const rows = [];
+    const headers = $section.find('table th').map((_, el) => normalizeText($(el).text()).toLowerCase()).get();
+    if (headers.length > 0) {
+        $section.find('table tr').each((_, tr) => {
+            const cells = $(tr).find('td');
+            if (!cells.length) return;
+            const row = {};
+            cells.each((index, td) => {
+                row[headers[index] || `column${index}`] = normalizeText($(td).text());
+            });
+            rows.push({ row, text: normalizeText($(tr).text()) });
+        });
+        return rows;
+    }
+    $section.find(itemSelector).each((_, el) => {
+        rows.push({ row: null, text: normalizeText($(el).text()) });
+    });
+    return rows;
+}
+
+export function extractLicensesFromHtml($) {
+    const licenseSection = findProfileSection(
+        $,
+        '#licenses, [data-testid="licenses"], [data-testid="license-section"], .license-section, .licenses',
+        /^licen[sc]es?\b/i
+    );
+    const sanctionSection = findProfileSection(
+        $,
+        '#sanctions, [data-testid="sanctions"], .sanctions, .disciplinary-actions, .misconduct',
+        /sanction|disciplin|misconduct/i
+    );
+
+    const licenses = [];
+    if (licenseSection.length) {
+        extractSectionRows($, licenseSection, '[data-testid="license"], .license, .license-item, li').forEach(({ row, text }) => {
+            const license = row
+                ? normalizeLicense({
+                    state: pickFirst(row.state, row.jurisdiction, text),
+                    yearAdmitted: pickFirst(row.acquired, row.admitted, row['year admitted'], row['licensed since'], row.year),
+                    status: pickFirst(row.status, text),
+                    licenseNumber: pickFirst(row['license number'], row['license #'], row['bar number'], row.number),
+                })
+                : parseLicenseText(text);
+            if (license) licenses.push(license);
+        });
+    }
+
+    if (sanctionSection.length) {
+        extractSectionRows($, sanctionSection, '[data-testid="sanction"], .sanction, .sanction-item, li').forEach(({ row, text }) => {
+            const sanction = row
+                ? normalizeSanction({
+                    state: pickFirst(row.state, row.jurisdiction, text),
+                    date: pickFirst(row.date, row['date issued'], row.year),
+                    action: pickFirst(row.sanction, row.action, row.type, row['sanction type']),
+                    description: pickFirst(row.description, row.details, text),
+                })
+                : parseSanctionText(text);
+            if (!sanction) return;
+
+            // Attach to the matching state's license, or the only license when the state is unknown
+            let license = licenses.find((item) => item.state && item.state === sanction.state)
+                || (licenses.length === 1 && !sanction.state ? licenses[0] : null);
+            if (!license) {
+                license = { state: sanction.state, yearAdmitted: null, status: '', licenseNumber: '', disciplinaryActions: [] };
+                licenses.push(license);
+            }
+            license.disciplinaryActions.push(sanction);
+        });
+    }
+
+    return licenses;
+}
@@ -0,0 +1,434 @@
+import * as cheerio from 'cheerio';
+
+import { toInputList } from './catalog.js';
+import { buildContactFields } from './contacts.js';
+import { normalizeFirm } from './firms.js';
+import { normalizeLawyer } from './lawyer.js';
+import { log } from './log.js';
+import { finalizeOffices, normalizeOffice } from './offices.js';
+import { withExtractionSource } from './provenance.js';
+import { collectLawyerCandidates, extractEmbeddedJson, extractJsonLdObjects } from './structured-data.js';
+import { normalizeImage, normalizeText, normalizeUrl, pickAttrValue, pickFirst, slugify, toInt } from './utils.js';
+
+export function extractLawyersFromJsonLd(html, baseUrl) {
+    const jsonObjects = extractJsonLdObjects(html);
+    const lawyers = [];
+
+    for (const data of jsonObjects) {
+        if (Array.isArray(data)) {
+            data.forEach((item) => addJsonLdLawyer(item, lawyers, baseUrl));
+        } else {
+            addJsonLdLawyer(data, lawyers, baseUrl);
+        }
+    }
+
+    return lawyers;
+}
+
+function addJsonLdLawyer(data, lawyers, baseUrl) {
+    if (!data) return;
+    if (data['@graph']) {
+        data['@graph'].forEach((item) => addJsonLdLawyer(item, lawyers, baseUrl));
+        return;
+    }
+    if (data['@type'] === 'ItemList' && data.itemListElement) {
+        data.itemListElement.forEach((item) => addJsonLdLawyer(item.item || item, lawyers, baseUrl));
+        return;
+    }
+    const type = data['@type'];
+    if (type === 'Attorney' || type === 'Person' || type === 'LegalService') {
+        const normalized = normalizeLawyer(data, baseUrl);
+        if (normalized) lawyers.push(normalized);
+    }
+}
+
+export function extractApiUrlsFromHtml(html, baseUrl) {
+    const candidates = new Set();
+    const absoluteRegex = /https?:\/\/[^\s"'\\]+\/api\/[^\s"'\\]+/g;
+    const relativeRegex = /['"]((?:\/api\/|\/graphql)[^'"\s]+)['"]/g;
+
+    let match;
+    while ((match = absoluteRegex.exec(html)) !== null) {
+        candidates.add(match[0]);
+    }
+    while ((match = relativeRegex.exec(html)) !== null) {
+        candidates.add(normalizeUrl(match[1], baseUrl));
+    }
+
+    return [...candidates];
+}
+
+export function extractNextPageUrlFromHtml($, baseUrl) {
+    const nextHref = $('a[rel="next"], link[rel="next"]').attr('href');
+    if (nextHref) return normalizeUrl(nextHref, baseUrl);
+
+    const nextButton = $('a[class*="next"], .pagination a').filter((_, el) => {
+        const text = normalizeText($(el).text()).toLowerCase();
+        return text === 'next' || text === 'next page';
+    }).first();
+
+    const href = nextButton.attr('href');
+    return href ? normalizeUrl(href, baseUrl) : '';
+}
+
+// Links one directory level below the current listing ("/bankruptcy-debt-lawyer/al.html" ->
+// "/bankruptcy-debt-lawyer/al/birmingham.html"): the city and county pages of a state listing
+export function extractSubdirectoryLinks($, baseUrl) {
+    const base = new URL(baseUrl);
+    if (!/\.html$/i.test(base.pathname)) return [];
+    const prefix = base.pathname.replace(/\.html$/i, '/').toLowerCase();
+
+    const links = new Map();
+    $('a[href]').each((_, el) => {
+        let url;
+        try {
+            url = new URL(normalizeUrl($(el).attr('href'), baseUrl));
+        } catch {
+            return;
+        }
+        const path = url.pathname.toLowerCase();
+        if (url.host !== base.host || !path.startsWith(prefix)) return;
+        const slug = path.slice(prefix.length).match(/^([a-z0-9_-]+)\.html$/)?.[1];
+        if (!slug) return;
+
+        const href = `${url.origin}${url.pathname}`;
+        if (!links.has(href)) links.set(href, { url: href, slug, name: normalizeText($(el).text()) });
+    });
+    return [...links.values()];
+}
+
+// include/exclude entries match the link slug ("birmingham", "jefferson-county") or its text ("Birmingham")
+export function filterSubdirectoryLinks(links, { include, exclude } = {}) {
+    const includeSlugs = toInputList(include).map(slugify);
+    const excludeSlugs = toInputList(exclude).map(slugify);
+    const matches = (link, slugs) => slugs.includes(slugify(link.slug)) || slugs.includes(slugify(link.name));
+    return links.filter((link) => (includeSlugs.length === 0 || matches(link, includeSlugs)) && !matches(link, excludeSlugs));
+}
+
+export function extractNextPageUrlFromApi(json, baseUrl) {
+    if (!json || typeof json !== 'object') return '';
+    const candidate = pickFirst(
+        json.nextPageUrl,
+        json.next,
+        json.links?.next,
+        json.pagination?.next,
+        json.paging?.next
+    );
+    return candidate ? normalizeUrl(candidate, baseUrl) : '';
+}
+
+export function extractLawyersFromApiJson(json, baseUrl) {
+    const candidates = collectLawyerCandidates(json);
+    const lawyers = candidates.map((item) => normalizeLawyer(item, baseUrl)).filter(Boolean);
+    return lawyers;
+}
+
+function extractLawyerDataViaHtml($, baseUrl) {
+    const selectors = [
+        'div[data-testid="lawyer-card"]',
+        '.lawyer-card',
+        '[class*="lawyer"][class*="card"]',
+        'article[data-lawyer-id]',
+        '.search-result-lawyer',
+        '.profile-card',
+        '[data-lawyer-name]',
+    ];
+
+    let lawyerElements = $([]);
+    for (const selector of selectors) {
+        const elements = $(selector);
+        if (elements.length > 0) {
+            log.info(`Found ${elements.length} lawyer cards with selector: ${selector}`);
+            lawyerElements = elements;
+            break;
+        }
+    }
+
+    if (lawyerElements.length === 0) {
+        return [];
+    }
+
+    const lawyers = [];
+    lawyerElements.each((_, element) => {
+        const lawyer = extractLawyerFromElement($, $(element), baseUrl);
+        if (lawyer) lawyers.push(lawyer);
+    });
+    return lawyers;
+}
+
+function extractLawyerFromElement($, $el, baseUrl) {
+    try {
+        const nameSelectors = [
+            '[data-testid="lawyer-name"]',
+            'h2 a',
+            'h3 a',
+            '.lawyer-name',
+            '.profile-name',
+            'a[href*="/attorney/"]',
+        ];
+
+        let name = '';
+        let profileUrl = '';
+
+        for (const selector of nameSelectors) {
+            const nameEl = $el.find(selector).first();
+            if (nameEl.length && normalizeText(nameEl.text())) {
+                name = normalizeText(nameEl.text());
+                profileUrl = normalizeUrl(nameEl.attr('href') || '', baseUrl);
+                break;
+            }
+        }
+
+        const ratingSelectors = [
+            '[data-testid="rating"]',
+            '.rating-value',
+            '.avvo-rating',
+            '[class*="rating"]',
+        ];
+
+        let rating = null;
+        for (const selector of ratingSelectors) {
+            const ratingEl = $el.find(selector).first();
+            if (ratingEl.length) {
+                const ratingMatch = normalizeText(ratingEl.text()).match(/(\d+\.?\d*)/);
+                if (ratingMatch) {
+                    rating = parseFloat(ratingMatch[1]);
+                    break;
+                }
+            }
+        }
+
+        const reviewSelectors = [
+            '[data-testid="review-count"]',
+            '.review-count',
+            '[class*="review"]',
+        ];
+
+        let reviewCount = null;
+        for (const selector of reviewSelectors) {
+            const reviewEl = $el.find(selector).first();
+            if (reviewEl.length) {
+                const reviewText = reviewEl.text();
+                reviewCount = /\d/.test(reviewText) ? toInt(reviewText) : null;
+                break;
+            }
+        }
+
+        const practiceAreaSelectors = [
+            '[data-testid="practice-areas"]',
+            '.practice-areas',
+            '.specialties',
+            '[class*="practice"]',
+        ];
+
+        let practiceAreas = [];
+        for (const selector of practiceAreaSelectors) {
+            const practiceEl = $el.find(selector);
+            if (practiceEl.length) {
+                practiceEl.find('li, span, a').each((_, item) => {
+                    const area = normalizeText($(item).text());
+                    if (area && area.length > 2) {
+                        practiceAreas.push(area);
+                    }
+                });
+                if (practiceAreas.length > 0) break;
+            }
+        }
+
+        if (practiceAreas.length === 0) {
+            for (const selector of practiceAreaSelectors) {
+                const practiceEl = $el.find(selector).first();
+                if (practiceEl.length) {
+                    const text = normalizeText(practiceEl.text());
+                    if (text.includes(',')) {
+                        practiceAreas = text.split(',').map((area) => normalizeText(area)).filter(Boolean);
+                        break;
+                    }
+                }
+            }
+        }
+
+        const locationSelectors = [
+            '[data-testid="location"]',
+            '.location',
+            '.address',
+            '[class*="location"]',
+        ];
+
+        let location = '';
+        for (const selector of locationSelectors) {
+            const locationEl = $el.find(selector).first();
+            if (locationEl.length && normalizeText(locationEl.text())) {
+                location = normalizeText(locationEl.text());
+                break;
+            }
+        }
+
+        const phoneSelectors = [
+            '[data-testid="phone"]',
+            '.phone',
+            'a[href^="tel:"]',
+            '[class*="phone"]',
+        ];
+
+        let phone = '';
+        for (const selector of phoneSelectors) {
+            const phoneEl = $el.find(selector).first();
+            if (phoneEl.length) {
+                phone = normalizeText(phoneEl.text()) || normalizeText(phoneEl.attr('href')?.replace('tel:', ''));
+                if (phone) break;
+            }
+        }
+
+        const websiteSelectors = [
+            '[data-testid="website"]',
+            'a[href*="website"]',
+            '.website',
+            'a[data-website]',
+        ];
+
+        let website = '';
+        for (const selector of websiteSelectors) {
+            const websiteEl = $el.find(selector).first();
+            if (websiteEl.length) {
+                website = normalizeUrl(websiteEl.attr('href') || '', baseUrl);
+                if (website) break;
+            }
+        }
+
+        const yearsLicensedSelectors = [
+            '[data-testid="years-licensed"]',
+            '.years-licensed',
+            '[class*="years"]',
+        ];
+
+        let yearsLicensed = null;
+        for (const selector of yearsLicensedSelectors) {
+            const yearsEl = $el.find(selector).first();
+            if (yearsEl.length) {
+                yearsLicensed = toInt(yearsEl.text());
+                break;
+            }
+        }
+
+        const barSelectors = [
+            '[data-testid="bar-admissions"]',
+            '.bar-admissions',
+            '[class*="bar"]',
+        ];
+
+        let barAdmissions = [];
+        for (const selector of barSelectors) {
+            const barEl = $el.find(selector);
+            if (barEl.length) {
+                barEl.find('li, span').each((_, item) => {
+                    const bar = normalizeText($(item).text());
+                    if (bar && bar.length > 1) {
+                        barAdmissions.push(bar);
+                    }
+                });
+                if (barAdmissions.length > 0) break;
+            }
+        }
+
+        const langSelectors = [
+            '[data-testid="languages"]',
+            '.languages',
+            '[class*="language"]',
+        ];
+
+        let languages = [];
+        for (const selector of langSelectors) {
+            const langEl = $el.find(selector);
+            if (langEl.length) {
+                langEl.find('li, span').each((_, item) => {
+                    const lang = normalizeText($(item).text());
+                    if (lang && lang.length > 1) {
+                        languages.push(lang);
+                    }
+                });
+                if (languages.length > 0) break;
+            }
+        }
+
+        const bioSelectors = [
+            '[data-testid="bio"]',
+            '.bio',
+            '.description',
+            '.profile-description',
+            '.profile-summary',
+            '.lawyer-bio',
+            '.bio-text',
+            '[itemprop="description"]',
+            'p',
+        ];
+
+        let bio = '';
+        for (const selector of bioSelectors) {
+            const bioEl = $el.find(selector).first();
+            const text = normalizeText(bioEl.text());
+            if (bioEl.length && text.length > 50) {
+                bio = text;
+                break;
+            }
+        }
+
+        const imageEl = $el.find('img').first();
+        const headshotImgEl = $el.find('div.headshot img, .headshot img').first();
+        const image = normalizeImage(
+            pickAttrValue(headshotImgEl.length > 0 ? headshotImgEl : imageEl, ['src', 'data-src']) ||
+            headshotImgEl.attr('src') ||
+            imageEl.attr('src') ||
+            imageEl.attr('data-src') || '',
+            baseUrl
+        );
+
+        if (!name && !profileUrl) return null;
+
+        const firmName = normalizeText($el.find('[data-testid="firm-name"], .firm-name, .law-firm').first().text());
+        const office = normalizeOffice(location, { phone, firmName });
+
+        return {
+            name: name || 'Unknown',
+            rating,
+            reviewCount,
+            practiceAreas,
+            location,
+            offices: finalizeOffices([office]),
+            firm: normalizeFirm(firmName, baseUrl),
+            ...buildContactFields({
+                phone: [{ source: 'html', value: phone }],
+                website: [{ source: 'html', value: website }],
+            }, baseUrl),
+            barAdmissions,
+            languages,
+            profileUrl,
+            bio,
+            image,
+            scrapedAt: new Date().toISOString(),
+        };
+    } catch (err) {
+        log.debug(`Error extracting individual lawyer: ${err.message}`);
+        return null;
+    }
+}
+
+// Listing pages: embedded JSON first, then JSON-LD, then selector-based cards
+export function extractListingLawyers(html, baseUrl, { $, useHtmlFallback = true } = {}) {
+    const embeddedLawyers = [];
+    extractEmbeddedJson(html).forEach((payload) => {
+        embeddedLawyers.push(...extractLawyersFromApiJson(payload, baseUrl));
+    });
+    const stamp = (lawyers, source) => ({ lawyers: lawyers.map((lawyer) => withExtractionSource(lawyer, source)), source });
+    if (embeddedLawyers.length > 0) return stamp(embeddedLawyers, 'embeddedJson');
+
+    const jsonLdLawyers = extractLawyersFromJsonLd(html, baseUrl);
+    if (jsonLdLawyers.length > 0) return stamp(jsonLdLawyers, 'jsonLd');
+
+    if (useHtmlFallback) {
+        const htmlLawyers = extractLawyerDataViaHtml($ || cheerio.load(html), baseUrl);
+        if (htmlLawyers.length > 0) return stamp(htmlLawyers, 'html');
+    }
+
+    return { lawyers: [], source: null };
+}
@@ -0,0 +1,17 @@
+import defaultLog from '@apify/log';
+
+let current = defaultLog;
+
+// Logger used by the library modules. Defaults to @apify/log so the extractors work without the
+// Apify SDK; the actor hands in its own instance with setLogger() so there is one log level.
+// Anything with debug/info/warning/error methods works.
+export const log = {
+    debug: (...args) => current.debug(...args),
+    info: (...args) => current.info(...args),
+    warning: (...args) => current.warning(...args),
+    error: (...args) => current.error(...args),
+};
+
+export function setLogger(logger) {
+    current = logger;
+}
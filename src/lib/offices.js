@@ -0,0 +1,119 @@
+import { normalizeText, pickFirst, toNumber } from './utils.js';
+
+export function toCoordinates(geo) {
+    if (!geo || typeof geo !== 'object') return null;
+    const latitude = toNumber(geo.latitude ?? geo.lat);
+    const longitude = toNumber(geo.longitude ?? geo.lng ?? geo.lon);
+    return latitude && longitude ? { latitude, longitude } : null;
+}
+
+// "123 Main St, Suite 4, Birmingham, AL 35203" -> street / city / state / zip
+function parseAddressString(value) {
+    const text = normalizeText(value);
+    if (!text) return null;
+    const match = text.match(/^(?:(.*),\s*)?([^,]+),\s*([A-Z]{2})\.?(?:,?\s*(\d{5}(?:-\d{4})?))?$/);
+    if (!match) return { street: text, city: '', state: '', zip: '' };
+    return {
+        street: normalizeText(match[1]),
+        city: normalizeText(match[2]),
+        state: match[3],
+        zip: match[4] || '',
+    };
+}
+
+export function normalizeOffice(raw, defaults = {}) {
+    if (!raw) return null;
+    if (typeof raw === 'string') {
+        const parsed = parseAddressString(raw);
+        return parsed ? { firmName: '', ...parsed, phone: '', coordinates: null, primary: false, ...defaults } : null;
+    }
+    if (typeof raw !== 'object') return null;
+
+    // Place / LegalService nodes wrap the PostalAddress in `address`
+    const address = raw.address && typeof raw.address === 'object' ? raw.address : raw;
+    const fromString = typeof raw.address === 'string' ? parseAddressString(raw.address) : null;
+    const street = [address.streetAddress, address.street, address.address1, address.address2]
+        .filter((part) => typeof part === 'string')
+        .map(normalizeText)
+        .filter(Boolean)
+        .join(', ');
+
+    const office = {
+        firmName: normalizeText(pickFirst(raw.firmName, raw.firm_name, raw.organization, raw['@type'] ? raw.name : null))
+            || defaults.firmName || '',
+        street: street || fromString?.street || '',
+        city: normalizeText(pickFirst(address.addressLocality, address.city, fromString?.city)),
+        state: normalizeText(pickFirst(address.addressRegion, address.state, address.stateCode, fromString?.state)),
+        zip: normalizeText(pickFirst(address.postalCode, address.zip, address.zipCode, fromString?.zip)),
+        phone: normalizeText(pickFirst(raw.telephone, raw.phone, address.telephone, defaults.phone)),
+        coordinates: toCoordinates(raw.geo || address.geo || raw) || defaults.coordinates || null,
+        primary: Boolean(raw.primary || raw.isPrimary || raw.is_primary),
+    };
+
+    return office.street || office.city || office.zip ? office : null;
+}
+
+function officeKey(office) {
+    return [office.street, office.city, office.zip].join('|').toLowerCase().replace(/[^a-z0-9|]/g, '');
+}
+
+// Dedupes offices and guarantees exactly one primary office (the first, unless one is flagged)
+export function finalizeOffices(offices) {
+    const unique = [];
+    const seen = new Set();
+    for (const office of offices.filter(Boolean)) {
+        const key = officeKey(office);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        unique.push(office);
+    }
+    const primaryIndex = Math.max(0, unique.findIndex((office) => office.primary));
+    return unique.map((office, index) => ({ ...office, primary: index === primaryIndex }));
+}
+
+export function formatOfficeLocation(office) {
+    if (!office) return '';
+    return normalizeText([office.city, office.state, office.zip].filter(Boolean).join(', '));
+}
+
+export function extractOfficesFromHtml($) {
+    const offices = [];
+    $('[data-testid="office"], .office-location, .office, [itemprop="address"], address').each((_, el) => {
+        const $el = $(el);
+        // Skip wrappers whose address is already captured by a nested match
+        if ($el.find('[data-testid="office"], .office-location, [itemprop="address"], address').length > 0) return;
+
+        const street = normalizeText($el.find('[itemprop="streetAddress"], .street-address, .address-line').text());
+        const city = normalizeText($el.find('[itemprop="addressLocality"], .locality, .city').first().text());
+        const $office = $el.closest('[data-testid="office"], .office-location, .office');
+        const $container = $office.length ? $office : $el;
+        const firmName = normalizeText(
+            $container.find('.firm-name, [data-testid="firm-name"], [itemprop="name"]').first().text()
+        );
+        const phone = normalizeText(
+            ($container.find('a[href^="tel:"]').first().attr('href') || '').replace(/^tel:/i, '')
+            || $container.find('.phone, [itemprop="telephone"]').first().text()
+        );
+        const latitude = $el.find('[itemprop="latitude"]').attr('content') || $el.attr('data-lat') || $el.attr('data-latitude');
+        const longitude = $el.find('[itemprop="longitude"]').attr('content') || $el.attr('data-lng') || $el.attr('data-longitude');
+        const defaults = {
+            firmName,
+            phone,
+            coordinates: toCoordinates({ latitude, longitude }),
+        };
+
+        const office = city
+            ? normalizeOffice({
+                streetAddress: street,
+                addressLocality: city,
+                addressRegion: $el.find('[itemprop="addressRegion"], .region, .state').first().text(),
+                postalCode: $el.find('[itemprop="postalCode"], .postal-code, .zip').first().text(),
+            }, defaults)
+            : normalizeOffice($el.clone().find('a[href^="tel:"], .phone, .firm-name').remove().end().text(), defaults);
+        if (office) {
+            office.primary = $container.is('[data-primary="true"], .primary') || /primary office/i.test($container.text());
+            offices.push(office);
+        }
+    });
+    return offices;
+}
@@ -0,0 +1,47 @@
+import { toInputList } from './catalog.js';
+import { PROVENANCE_FIELD } from './provenance.js';
+
+// Fields kept per outputProfile; `full` keeps every field normalizeLawyer emits
+export const OUTPUT_PROFILES = {
+    minimal: ['name', 'rating', 'avvoRating', 'clientRating', 'reviewCount', 'practiceAreas', 'location', 'profileUrl', 'scrapedAt'],
+    contact: [
+        'name', 'firm', 'phone', 'phoneExtension', 'email', 'website', 'contactQuality', 'location', 'offices', 'practiceAreas', 'profileUrl', 'scrapedAt',
+    ],
+    full: null,
+};
+
+// Incremental-mode metadata, the merged-update flag and provenance survive any field selection
+const ALWAYS_KEPT_FIELDS = ['changeType', 'changes', 'mergedUpdate', PROVENANCE_FIELD];
+
+// Returns a record shaper for outputProfile/fields, or null when records go out unchanged.
+// "bio" adds a field to the profile and "-reviews" drops one; with the full profile the
+// included fields become the complete list.
+export function buildOutputShaper({ outputProfile = 'full', fields } = {}) {
+    if (!Object.hasOwn(OUTPUT_PROFILES, outputProfile)) {
+        throw new Error(`Unknown outputProfile "${outputProfile}". Use one of: ${Object.keys(OUTPUT_PROFILES).join(', ')}`);
+    }
+
+    const entries = toInputList(fields);
+    const excluded = entries.filter((field) => field.startsWith('-')).map((field) => field.slice(1).trim());
+    const included = entries.filter((field) => !field.startsWith('-'));
+    const profileFields = OUTPUT_PROFILES[outputProfile];
+
+    let selected = null;
+    if (profileFields) selected = [...new Set([...profileFields, ...included])];
+    else if (included.length > 0) selected = included;
+
+    if (!selected && excluded.length === 0) return null;
+
+    const keep = (field) => (selected ? selected.includes(field) : true) && !excluded.includes(field);
+    const pick = (object) => Object.fromEntries(Object.entries(object).filter(([field]) => keep(field)));
+
+    return (record) => {
+        const shaped = pick(record);
+        ALWAYS_KEPT_FIELDS.forEach((field) => {
+            if (field in record) shaped[field] = record[field];
+        });
+        if (record.changes) shaped.changes = pick(record.changes);
+        if (record[PROVENANCE_FIELD]) shaped[PROVENANCE_FIELD] = pick(record[PROVENANCE_FIELD]);
+        return shaped;
+    };
+}
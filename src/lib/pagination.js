@@ -0,0 +1,83 @@
+import { createHash } from 'node:crypto';
+
+import { extractEmbeddedJson } from './structured-data.js';
+import { normalizeText, toInt } from './utils.js';
+
+const PAGE_PARAM = 'page';
+const TOTAL_PAGE_KEYS = ['totalPages', 'total_pages', 'pageCount', 'page_count', 'numPages', 'lastPage'];
+const TOTAL_RESULT_KEYS = ['totalResults', 'total_results', 'totalCount', 'total_count', 'resultCount', 'numFound'];
+
+export function pageNumberOf(url) {
+    try {
+        return toInt(new URL(url).searchParams.get(PAGE_PARAM)) || 1;
+    } catch {
+        return 1;
+    }
+}
+
+// Page 1 is the bare listing URL, matching the links Avvo renders
+export function buildPageUrl(url, page) {
+    const pageUrl = new URL(url);
+    if (page > 1) pageUrl.searchParams.set(PAGE_PARAM, String(page));
+    else pageUrl.searchParams.delete(PAGE_PARAM);
+    pageUrl.hash = '';
+    return pageUrl.href;
+}
+
+function findNumber(source, keys, depth = 0) {
+    if (!source || typeof source !== 'object' || depth > 6) return null;
+    for (const key of keys) {
+        const value = toInt(source[key]);
+        if (value > 0) return value;
+    }
+    for (const value of Object.values(source)) {
+        const found = findNumber(value, keys, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+// Highest ?page=N among links to the same listing path
+function maxLinkedPage($, baseUrl) {
+    const { pathname } = new URL(baseUrl);
+    let max = 0;
+    $('a[href]').each((_, el) => {
+        try {
+            const url = new URL($(el).attr('href'), baseUrl);
+            if (url.pathname === pathname) max = Math.max(max, pageNumberOf(url.href));
+        } catch {
+            // Ignore malformed hrefs
+        }
+    });
+    return max;
+}
+
+// Reads where the listing is and how far it goes from embedded JSON, "1-10 of 234" style
+// result counters and numbered page links, in that order of trust.
+// Returns { currentPage, totalPages, totalResults }; unknown values are null.
+export function extractPaginationInfo($, html, { baseUrl, resultsOnPage = 0 } = {}) {
+    const currentPage = pageNumberOf(baseUrl);
+    const embedded = extractEmbeddedJson(html);
+    const text = normalizeText($('body').text());
+
+    const range = text.match(/(\d[\d,]*)\s*[-–]\s*(\d[\d,]*)\s+of\s+(\d[\d,]*)/i);
+    const totalResults = findNumber(embedded, TOTAL_RESULT_KEYS)
+        || (range && toInt(range[3]))
+        || toInt(text.match(/(\d[\d,]*)\s+(?:results|lawyers|attorneys)\s+(?:found|match)/i)?.[1])
+        || null;
+    const perPage = (range && toInt(range[2]) - toInt(range[1]) + 1) || resultsOnPage;
+
+    const totalPages = findNumber(embedded, TOTAL_PAGE_KEYS)
+        || (totalResults && perPage > 0 ? Math.ceil(totalResults / perPage) : null)
+        || maxLinkedPage($, baseUrl)
+        || null;
+
+    return { currentPage, totalPages, totalResults };
+}
+
+// Order-independent fingerprint of a page's lawyers; the same fingerprint twice in one
+// pagination chain means the site is serving a page we already have
+export function resultSetSignature(lawyers) {
+    const keys = lawyers.map((lawyer) => lawyer.profileUrl || normalizeText(lawyer.name).toLowerCase()).sort();
+    return createHash('sha1').update(keys.join('\n')).digest('hex');
+}
@@ -0,0 +1,425 @@
+import * as cheerio from 'cheerio';
+
+import { ANSWERS_FIELD, extractAnswerStatsFromHtml } from './answers.js';
+import { US_STATES } from './catalog.js';
+import { buildContactFields } from './contacts.js';
+import { normalizeFirm } from './firms.js';
+import { earliestLicenseYear, extractLicensesFromHtml, extractLicenseYear } from './licenses.js';
+import { extractLawyersFromApiJson, extractLawyersFromJsonLd } from './listing.js';
+import { log } from './log.js';
+import { extractOfficesFromHtml, finalizeOffices, formatOfficeLocation } from './offices.js';
+import { createProvenanceTracker, mergeProvenance, PROVENANCE_FIELD } from './provenance.js';
+import { extractReviewsFromPage, limitReviews } from './reviews.js';
+import { extractEmbeddedJson, pickBestProfile } from './structured-data.js';
+import { normalizeArray, normalizeImage, normalizeText, pickAttrValue, toInt, toNumber } from './utils.js';
+
+function profileNameCandidates($, jsonLdProfile, embeddedProfile) {
+    const structuredName = (name) => (name && name !== 'Unknown' ? name : null);
+    const headingName = normalizeText(
+        $('[data-testid="lawyer-name"], h1[itemprop="name"], .lawyer-name, .profile-name, h1').first().text()
+    );
+    // og:title looks like "John Smith - Birmingham, AL Lawyer - Avvo"
+    const ogTitle = normalizeText($('meta[property="og:title"]').attr('content') || $('title').text());
+    return [
+        ['jsonLd', structuredName(jsonLdProfile?.name)],
+        ['embeddedJson', structuredName(embeddedProfile?.name)],
+        ['html:name', headingName],
+        ['meta:og:title', normalizeText(ogTitle.split(/\s+[-|]\s+/)[0])],
+    ];
+}
+
+// Parses an already-downloaded profile page; shared by enrichment fetches and PROFILE requests
+export function parseLawyerProfile(html, profileUrl, { includeReviews, maxReviewsPerLawyer = 0 }) {
+    try {
+        const $ = cheerio.load(html);
+        const tracker = createProvenanceTracker('profile');
+        const { pick } = tracker;
+        const embeddedPayloads = extractEmbeddedJson(html);
+        const embeddedCandidates = [];
+        embeddedPayloads.forEach((payload) => {
+            embeddedCandidates.push(...extractLawyersFromApiJson(payload, profileUrl));
+        });
+        const embeddedProfile = pickBestProfile(embeddedCandidates, profileUrl);
+
+        const jsonLdProfiles = extractLawyersFromJsonLd(html, profileUrl);
+        const jsonLdProfile = pickBestProfile(jsonLdProfiles, profileUrl);
+
+        const metaDescription = normalizeText(
+            $('meta[name="description"], meta[property="og:description"]').first().attr('content')
+        );
+        const bioFromHtml = normalizeText(
+            $('[data-testid="bio"], .lawyer-bio, .bio-text, .profile-bio, [itemprop="description"]').first().text()
+        );
+        const bio = pick('bio', [
+            ['html:bio', bioFromHtml],
+            ['meta:description', metaDescription],
+            ['jsonLd', jsonLdProfile?.bio],
+            ['embeddedJson', embeddedProfile?.bio],
+        ]) || '';
+
+        const education = [];
+        $('[data-testid="education"] li, .education-item, .school-item, [class*="education"] li').each((_, el) => {
+            const value = normalizeText($(el).text());
+            if (value) education.push(value);
+        });
+
+        const awards = [];
+        $('[data-testid="awards"] li, .award-item, [class*="award"] li').each((_, el) => {
+            const value = normalizeText($(el).text());
+            if (value) awards.push(value);
+        });
+
+        // Every mailto/tel link is a candidate so a directory support address does not win by appearing first
+        const hrefValues = (selector, prefix) => $(selector).map((_, el) => {
+            const $link = $(el);
+            return normalizeText(($link.attr('href') || '').replace(prefix, '').split('?')[0]) || normalizeText($link.text());
+        }).get();
+        const emailsFromHtml = hrefValues('a[href^="mailto:"]', /^mailto:/i);
+        const emailFromData = normalizeText(
+            pickAttrValue(
+                $('[data-email], [data-contact-email], [data-testid="email"], .email, .contact-email').first(),
+                ['data-email', 'data-contact-email']
+            ) ||
+            $('[data-email], [data-contact-email], [data-testid="email"], .email, .contact-email')
+                .first()
+                .text()
+        );
+
+        const phonesFromHtml = [
+            ...hrefValues('a[href^="tel:"]', /^tel:/i),
+            normalizeText($('[data-testid="phone"], .phone, .contact-phone').first().text()),
+        ];
+        const phoneFromData = normalizeText(
+            pickAttrValue(
+                $('[data-phone], [data-contact-phone], [data-testid="phone"]').first(),
+                ['data-phone', 'data-contact-phone']
+            ) ||
+            $('[data-phone], [data-contact-phone], [data-testid="phone"]').first().text()
+        );
+
+        const officeSources = [
+            ['jsonLd', jsonLdProfile?.offices],
+            ['embeddedJson', embeddedProfile?.offices],
+            ['html:office', extractOfficesFromHtml($)],
+        ];
+        tracker.combine('offices', officeSources);
+        const offices = finalizeOffices(officeSources.flatMap(([, list]) => list || []));
+
+        const licenses = pick('licenses', [
+            ['html:licenses', extractLicensesFromHtml($)],
+            ['jsonLd', jsonLdProfile?.licenses],
+            ['embeddedJson', embeddedProfile?.licenses],
+        ]) || [];
+
+        const firmFromHtml = normalizeFirm(
+            normalizeText(
+                $('[data-testid="firm-name"], .firm-name, .law-firm, [itemprop="worksFor"] [itemprop="name"]').first().text()
+            ) || offices.find((office) => office.firmName)?.firmName,
+            profileUrl
+        );
+
+        const locationFromHtml = normalizeText(
+            $('[data-testid="address"], [data-testid="location"], .profile-address, .office-address, address, .address, .location')
+                .first()
+                .text()
+        );
+
+        const ratingFromMeta = toNumber(
+            $('meta[itemprop="ratingValue"], meta[property="ratingValue"], meta[name="rating"]')
+                .first()
+                .attr('content')
+        );
+
+        // Use specific CSS selector for rating from detail page
+        const reviewScoreLink = $('a.review-score').first();
+        const ratingFromReviewScore = toNumber(normalizeText(reviewScoreLink.text()));
+
+        // Also try the Avvo rating badge (e.g., "Rating: 10.0")
+        const avvoRatingBadge = $('span.avvo-rating-count').first();
+        let avvoRatingFromBadge = null;
+        if (avvoRatingBadge.length > 0) {
+            const badgeText = normalizeText(avvoRatingBadge.text());
+            const ratingMatch = badgeText.match(/(\d+\.?\d*)/);
+            if (ratingMatch) {
+                avvoRatingFromBadge = toNumber(ratingMatch[1]);
+            }
+        }
+
+        const ratingFromSelector = toNumber(
+            normalizeText(
+                $('[data-testid="rating"], .avvo-rating, .rating-value, [class*="rating"]')
+                    .first()
+                    .text()
+            )
+        );
+
+        const reviewCountFromMeta = toInt(
+            $('meta[itemprop="reviewCount"], meta[itemprop="ratingCount"], meta[name="reviewCount"]')
+                .first()
+                .attr('content')
+        );
+
+        // Use specific CSS selector for review count from detail page
+        const reviewCountSpan = $('span.review-count').first();
+        const reviewCountFromSpan = toInt(normalizeText(reviewCountSpan.text()));
+        const reviewCountFromSelector = toInt(
+            normalizeText(
+                $('[data-testid="review-count"], [class*="review-count"], [itemprop="reviewCount"]')
+                    .first()
+                    .text()
+            )
+        );
+
+        const websiteFromHtml = pickAttrValue(
+            $('[data-testid="website"] a, a[data-website], a[data-event-label="Website"], a[aria-label*="Website"], a[href*="website"], [data-website-url], [data-url]')
+                .first(),
+            ['href', 'data-website-url', 'data-url']
+        );
+
+        // Structured profiles are already normalized, so their raw text is re-offered to keep the original source
+        const structuredContact = (field) => [
+            { source: 'jsonLd', value: jsonLdProfile?.contactQuality?.[field]?.raw || jsonLdProfile?.[field] },
+            { source: 'embeddedJson', value: embeddedProfile?.contactQuality?.[field]?.raw || embeddedProfile?.[field] },
+        ];
+        const contactCandidates = {
+            email: [
+                ...structuredContact('email'),
+                { source: 'dataAttribute', value: emailFromData },
+                ...emailsFromHtml.map((value) => ({ source: 'html', value })),
+            ],
+            phone: [
+                ...structuredContact('phone'),
+                { source: 'dataAttribute', value: phoneFromData },
+                ...phonesFromHtml.map((value) => ({ source: 'html', value })),
+            ],
+            website: [...structuredContact('website'), { source: 'html', value: websiteFromHtml }],
+        };
+        const contact = buildContactFields(contactCandidates, profileUrl);
+        Object.entries(contactCandidates).forEach(([field, candidates]) => {
+            const { source, raw, valid } = contact.contactQuality[field];
+            if (valid) tracker.record(field, source, candidates.map((candidate) => [candidate.source, candidate.value]), raw);
+        });
+
+        // Use normalizeImage (not normalizeUrl) to filter out Avvo logos
+        const imageFromMeta = normalizeImage(
+            $('meta[property="og:image"], meta[name="twitter:image"], meta[itemprop="image"]').first().attr('content') || '',
+            profileUrl
+        );
+
+        // Use specific CSS selector for profile image from detail page
+        const headshotImg = $('div.headshot img').first();
+        const imageFromHtml = normalizeImage(
+            pickAttrValue(headshotImg, ['src', 'data-src', 'data-lazy-src']) ||
+            pickAttrValue(
+                $('[data-testid="profile-photo"] img, .profile-photo img, .profile-header img, img[alt*="Attorney"], img[alt*="Lawyer"], img[itemprop="image"]')
+                    .first(),
+                ['src', 'data-src', 'data-lazy-src']
+            ),
+            profileUrl
+        );
+
+        // Use specific CSS selector for practice areas from detail page
+        // span.practice-area-list contains comma-separated text like "Divorce & Separation, Family, Child Custody"
+        const practiceAreas = [];
+        const practiceAreaList = $('span.practice-area-list');
+        if (practiceAreaList.length > 0) {
+            const practiceText = normalizeText(practiceAreaList.text());
+            if (practiceText) {
+                // Split by comma and add each practice area
+                practiceText.split(',').forEach((area) => {
+                    const trimmed = normalizeText(area);
+                    if (trimmed && trimmed.length > 1) {
+                        practiceAreas.push(trimmed);
+                    }
+                });
+            }
+        }
+
+        // Fallback: Try detailed practice area section
+        if (practiceAreas.length === 0) {
+            $('div.practice-area-detail strong').each((_, el) => {
+                const value = normalizeText($(el).text());
+                if (value && value.length > 1) practiceAreas.push(value);
+            });
+        }
+
+        // Fallback: Try generic selectors
+        if (practiceAreas.length === 0) {
+            $('[data-testid="practice-areas"], .practice-areas, .specialties')
+                .find('li, span, a')
+                .each((_, el) => {
+                    const value = normalizeText($(el).text());
+                    if (value && value.length > 1) practiceAreas.push(value);
+                });
+        }
+
+        // "English, Spanish" as a list or as one comma-separated line
+        const languages = [];
+        $('[data-testid="languages"], .languages, .profile-languages').first().find('li').each((_, el) => {
+            const value = normalizeText($(el).text());
+            if (value) languages.push(value);
+        });
+        if (languages.length === 0) {
+            const languageText = normalizeText($('[data-testid="languages"], .languages, .profile-languages').first().text())
+                .replace(/^languages?\s*:?\s*/i, '');
+            languages.push(...normalizeArray(languageText));
+        }
+
+        const answerStats = extractAnswerStatsFromHtml($);
+        const reviews = includeReviews ? limitReviews(extractReviewsFromPage($, html), maxReviewsPerLawyer) : [];
+
+        return {
+            name: pick('name', profileNameCandidates($, jsonLdProfile, embeddedProfile)) || '',
+            bio,
+            education: pick('education', [['html:education', education]]) || [],
+            awards: pick('awards', [['html:awards', awards]]) || [],
+            reviews: pick('reviews', [['html:reviews', reviews]]) || [],
+            email: contact.email,
+            phone: contact.phone,
+            phoneExtension: contact.phoneExtension,
+            location: pick('location', [
+                ['jsonLd', jsonLdProfile?.location],
+                ['embeddedJson', embeddedProfile?.location],
+                ['html:office', formatOfficeLocation(offices[0])],
+                ['html:address', locationFromHtml],
+            ]),
+            offices,
+            firm: pick('firm', [
+                ['jsonLd', jsonLdProfile?.firm],
+                ['jsonLd:related', jsonLdProfiles.map((candidate) => candidate.firm).find(Boolean)],
+                ['embeddedJson', embeddedProfile?.firm],
+                ['html:firm-name', firmFromHtml],
+            ]),
+            rating: pick('rating', [
+                ['jsonLd', jsonLdProfile?.rating],
+                ['embeddedJson', embeddedProfile?.rating],
+                ['meta:ratingValue', ratingFromMeta],
+                ['html:review-score', ratingFromReviewScore || null],
+                ['html:rating', ratingFromSelector],
+            ]),
+            avvoRating: pick('avvoRating', [
+                ['html:avvo-rating-count', avvoRatingFromBadge],
+                ['jsonLd', jsonLdProfile?.avvoRating],
+                ['embeddedJson', embeddedProfile?.avvoRating],
+            ]),
+            clientRating: pick('clientRating', [
+                ['html:review-score', ratingFromReviewScore],
+                ['jsonLd', jsonLdProfile?.clientRating],
+                ['embeddedJson', embeddedProfile?.clientRating],
+            ]),
+            reviewCount: pick('reviewCount', [
+                ['html:review-count', reviewCountFromSpan || null],
+                ['html:review-count-selector', reviewCountFromSelector],
+                ['jsonLd', jsonLdProfile?.reviewCount],
+                ['embeddedJson', embeddedProfile?.reviewCount],
+                ['meta:reviewCount', reviewCountFromMeta],
+            ]),
+            answersCount: pick('answersCount', [
+                ['html:answers', answerStats.answersCount],
+                ['jsonLd', jsonLdProfile?.answersCount],
+                ['embeddedJson', embeddedProfile?.answersCount],
+            ]),
+            bestAnswersCount: pick('bestAnswersCount', [
+                ['html:answers', answerStats.bestAnswersCount],
+                ['jsonLd', jsonLdProfile?.bestAnswersCount],
+                ['embeddedJson', embeddedProfile?.bestAnswersCount],
+            ]),
+            helpfulVotes: pick('helpfulVotes', [
+                ['html:answers', answerStats.helpfulVotes],
+                ['jsonLd', jsonLdProfile?.helpfulVotes],
+                ['embeddedJson', embeddedProfile?.helpfulVotes],
+            ]),
+            website: contact.website,
+            contactQuality: contact.contactQuality,
+            image: pick('image', [
+                ['html:photo', imageFromHtml],
+                ['meta:og:image', imageFromMeta],
+                ['jsonLd', jsonLdProfile?.image],
+                ['embeddedJson', embeddedProfile?.image],
+            ]),
+            practiceAreas: pick('practiceAreas', [
+                ['html:practice-areas', practiceAreas],
+                ['jsonLd', jsonLdProfile?.practiceAreas],
+                ['embeddedJson', embeddedProfile?.practiceAreas],
+            ]) || [],
+            languages: pick('languages', [
+                ['html:languages', languages],
+                ['jsonLd', jsonLdProfile?.languages],
+                ['embeddedJson', embeddedProfile?.languages],
+            ]) || [],
+            licenseYear: pick('licenseYear', [
+                ['html:license-year', extractLicenseYear($, html)],
+                ['licenses', earliestLicenseYear(licenses)],
+            ]),
+            coordinates: pick('coordinates', [
+                ['jsonLd', jsonLdProfile?.coordinates],
+                ['embeddedJson', embeddedProfile?.coordinates],
+            ]),
+            licenseStates: pick('licenseStates', [
+                ['jsonLd', jsonLdProfile?.licenseStates],
+                ['embeddedJson', embeddedProfile?.licenseStates],
+                ['licenses', [...new Set(licenses.map((license) => US_STATES[license.state.toLowerCase()]).filter(Boolean))]],
+            ]) || [],
+            licenses,
+            certifications: pick('certifications', [
+                ['jsonLd', jsonLdProfile?.certifications],
+                ['embeddedJson', embeddedProfile?.certifications],
+            ]) || [],
+            [PROVENANCE_FIELD]: tracker.provenance,
+        };
+    } catch (error) {
+        log.debug(`Failed to parse profile page ${profileUrl}: ${error.message}`);
+        return null;
+    }
+}
+
+// Each contact field keeps the quality record of whichever side supplied its value
+function mergeContactQuality(lawyer, profileData) {
+    const fields = ['phone', 'email', 'website'];
+    if (!lawyer.contactQuality && !profileData.contactQuality) return undefined;
+    return Object.fromEntries(fields.map((field) => {
+        const profileQuality = profileData.contactQuality?.[field];
+        const lawyerQuality = lawyer.contactQuality?.[field];
+        const quality = profileData[field] || !lawyerQuality?.raw ? profileQuality : lawyerQuality;
+        return [field, quality || lawyerQuality || { source: null, raw: '', valid: false }];
+    }));
+}
+
+export function mergeProfileData(lawyer, profileData) {
+    const merged = {
+        ...lawyer,
+        name: lawyer.name && lawyer.name !== 'Unknown' ? lawyer.name : (profileData.name || lawyer.name),
+        bio: profileData.bio || lawyer.bio,
+        education: profileData.education?.length ? profileData.education : (lawyer.education || []),
+        awards: profileData.awards?.length ? profileData.awards : (lawyer.awards || []),
+        reviews: profileData.reviews?.length ? profileData.reviews : (lawyer.reviews || []),
+        email: profileData.email || lawyer.email,
+        phone: profileData.phone || lawyer.phone,
+        phoneExtension: profileData.phone ? profileData.phoneExtension : lawyer.phoneExtension,
+        location: profileData.location || lawyer.location,
+        offices: profileData.offices?.length ? profileData.offices : (lawyer.offices || []),
+        firm: profileData.firm || lawyer.firm || null,
+        rating: profileData.rating ?? lawyer.rating,
+        avvoRating: profileData.avvoRating ?? lawyer.avvoRating,
+        clientRating: profileData.clientRating ?? lawyer.clientRating,
+        reviewCount: profileData.reviewCount ?? lawyer.reviewCount,
+        answersCount: profileData.answersCount ?? lawyer.answersCount ?? null,
+        bestAnswersCount: profileData.bestAnswersCount ?? lawyer.bestAnswersCount ?? null,
+        helpfulVotes: profileData.helpfulVotes ?? lawyer.helpfulVotes ?? null,
+        website: profileData.website || lawyer.website,
+        practiceAreas: profileData.practiceAreas?.length ? profileData.practiceAreas : lawyer.practiceAreas,
+        languages: profileData.languages?.length ? profileData.languages : (lawyer.languages || []),
+        image: profileData.image || lawyer.image,
+        licenseYear: profileData.licenseYear ?? lawyer.licenseYear,
+        coordinates: profileData.coordinates || lawyer.coordinates,
+        licenseStates: profileData.licenseStates?.length ? profileData.licenseStates : (lawyer.licenseStates || []),
+        licenses: profileData.licenses?.length ? profileData.licenses : (lawyer.licenses || []),
+        certifications: profileData.certifications?.length ? profileData.certifications : (lawyer.certifications || []),
+        contactQuality: mergeContactQuality(lawyer, profileData),
+    };
+    if (profileData[ANSWERS_FIELD]) merged[ANSWERS_FIELD] = profileData[ANSWERS_FIELD];
+    if (lawyer[PROVENANCE_FIELD] || profileData[PROVENANCE_FIELD]) {
+        merged[PROVENANCE_FIELD] = mergeProvenance(lawyer, profileData, merged);
+    }
+    return merged;
+}
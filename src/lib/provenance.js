@@ -0,0 +1,89 @@
+import { withContactSource } from './contacts.js';
+
+// Record key of the optional per-field source map
+export const PROVENANCE_FIELD = '_provenance';
+
+// Fields whose origin is not worth tracking
+const UNTRACKED_FIELDS = ['scrapedAt', 'contactQuality', PROVENANCE_FIELD];
+
+// Same emptiness rule as pickFirst, except that empty lists do not win either
+function isPresent(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && value !== undefined && value !== '';
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function discardedValues(candidates, chosen) {
+    return candidates
+        .filter(({ value }) => isPresent(value) && !sameValue(value, chosen))
+        .map(({ source, value }) => ({ source, value }));
+}
+
+// Records which source produced each field while picking values in priority order. Sources are
+// prefixed with the page they came from, e.g. "profile:jsonLd" or "profile:html:review-count".
+export function createProvenanceTracker(prefix) {
+    const provenance = {};
+    const label = (source) => (prefix ? `${prefix}:${source}` : source);
+
+    return {
+        provenance,
+        // candidates: [source, value] pairs; returns the first present value or null, like pickFirst
+        pick(field, candidates) {
+            const labelled = candidates.map(([source, value]) => ({ source: label(source), value }));
+            const winner = labelled.find(({ value }) => isPresent(value));
+            if (!winner) return null;
+            provenance[field] = { source: winner.source, discarded: discardedValues(labelled, winner.value) };
+            return winner.value;
+        },
+        // For values merged from several sources, such as offices deduplicated across all of them
+        combine(field, candidates) {
+            const sources = candidates.filter(([, value]) => isPresent(value)).map(([source]) => label(source));
+            if (sources.length > 0) provenance[field] = { source: sources.join(' + '), discarded: [] };
+        },
+        // For values chosen elsewhere, such as contact fields picked by buildContactFields
+        record(field, source, candidates = [], chosen = null) {
+            if (!source) return;
+            const labelled = candidates.map(([candidateSource, value]) => ({ source: label(candidateSource), value }));
+            provenance[field] = { source: label(source), discarded: discardedValues(labelled, chosen) };
+        },
+    };
+}
+
+// Stamps a listing or API record with the extraction source of its contact values and of every other field
+export function withExtractionSource(lawyer, source) {
+    if (!lawyer) return lawyer;
+    const stamped = withContactSource(lawyer, source);
+    const provenance = {};
+    Object.entries(stamped).forEach(([field, value]) => {
+        if (UNTRACKED_FIELDS.includes(field) || !isPresent(value)) return;
+        provenance[field] = { source: `listing:${source}`, discarded: [] };
+    });
+    return { ...stamped, [PROVENANCE_FIELD]: provenance };
+}
+
+// Provenance after mergeProfileData: a field keeps the entry of whichever side supplied its value,
+// and the other side's differing value is listed as discarded
+export function mergeProvenance(lawyer, profileData, merged) {
+    const provenance = {};
+    Object.keys(merged).forEach((field) => {
+        if (UNTRACKED_FIELDS.includes(field) || !isPresent(merged[field])) return;
+        const fromProfile = isPresent(profileData[field]) && sameValue(profileData[field], merged[field]);
+        const [winner, loser, loserValue] = fromProfile
+            ? [profileData[PROVENANCE_FIELD]?.[field], lawyer[PROVENANCE_FIELD]?.[field], lawyer[field]]
+            : [lawyer[PROVENANCE_FIELD]?.[field], profileData[PROVENANCE_FIELD]?.[field], profileData[field]];
+        // Records built without a tracked source (e.g. a bare profile URL) report source null
+        const entry = { source: winner?.source ?? null, discarded: [...(winner?.discarded || [])] };
+        if (isPresent(loserValue) && !sameValue(loserValue, merged[field])) {
+            entry.discarded.push({ source: loser?.source ?? null, value: loserValue });
+        }
+        provenance[field] = entry;
+    });
+    return provenance;
+}
+
+export function withoutProvenance(lawyer) {
+    return Object.fromEntries(Object.entries(lawyer).filter(([field]) => field !== PROVENANCE_FIELD));
+}
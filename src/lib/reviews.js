@@ -0,0 +1,119 @@
+import { extractJsonLdObjects } from './structured-data.js';
+import { normalizeArray, normalizeDate, normalizeText, pickAttrValue, pickFirst, toNumber } from './utils.js';
+
+function normalizeReviewAuthor(author) {
+    if (!author) return '';
+    if (Array.isArray(author)) return normalizeReviewAuthor(author[0]);
+    if (typeof author === 'object') return normalizeText(author.name || author.givenName || '');
+    return normalizeText(author);
+}
+
+export function normalizeReview(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const rating = raw.reviewRating && typeof raw.reviewRating === 'object'
+        ? toNumber(raw.reviewRating.ratingValue)
+        : toNumber(pickFirst(raw.rating, raw.stars, raw.reviewRating));
+    const response = raw.comment || raw.response || raw.attorneyResponse || raw.lawyerResponse;
+
+    const review = {
+        author: normalizeReviewAuthor(pickFirst(raw.author, raw.reviewer, raw.reviewerName)),
+        date: normalizeDate(pickFirst(raw.datePublished, raw.dateCreated, raw.date, raw.createdAt)),
+        rating,
+        title: normalizeText(pickFirst(raw.name, raw.headline, raw.title)),
+        body: normalizeText(pickFirst(raw.reviewBody, raw.body, raw.text, raw.description)),
+        attorneyResponse: normalizeText(
+            response && typeof response === 'object' ? pickFirst(response.text, response.body) : response
+        ),
+        practiceArea: normalizeText(pickFirst(raw.practiceArea, raw.practice_area, raw.hiredFor, raw.about?.name)),
+    };
+
+    return review.body || review.title ? review : null;
+}
+
+function extractReviewFromElement($, $el) {
+    const ratingContent = $el.find('[itemprop="ratingValue"]').first().attr('content');
+    const ratingLabel = pickAttrValue($el.find('[class*="stars"], [class*="rating"]').first(), ['aria-label', 'title']);
+    const ratingText = normalizeText($el.find('.review-rating, [data-testid="review-rating"]').first().text());
+    const filledStars = $el.find('.star.filled, .star-filled, [class*="star-on"]').length;
+
+    // "Hired attorney for Bankruptcy" / "Practice area: Family"
+    const hiredText = normalizeText(
+        $el.find('.review-practice-area, [data-testid="review-practice-area"], [class*="hired"]').first().text()
+    );
+    const practiceArea = normalizeText(hiredText.replace(/^(hired (this )?(attorney|lawyer) for|practice area:?)\s*/i, ''));
+
+    const dateEl = $el.find('time[datetime], [itemprop="datePublished"], .review-date, [data-testid="review-date"]').first();
+
+    return normalizeReview({
+        author: normalizeText(
+            $el.find('[itemprop="author"], .review-author, [data-testid="review-author"], .reviewer-name').first().text()
+        ),
+        date: pickAttrValue(dateEl, ['datetime', 'content']) || dateEl.text(),
+        rating: pickFirst(
+            toNumber(ratingContent),
+            toNumber(ratingLabel.match(/(\d+(\.\d+)?)/)?.[1]),
+            toNumber(ratingText),
+            filledStars || null
+        ),
+        title: $el.find('[itemprop="name"], .review-title, [data-testid="review-title"], h3').first().text(),
+        body: $el.find('[itemprop="reviewBody"], .review-body, [data-testid="review-body"], .review-text').first().text(),
+        attorneyResponse: $el
+            .find('.attorney-response, .lawyer-response, [data-testid="attorney-response"], [class*="response"] p')
+            .first()
+            .text(),
+        practiceArea,
+    });
+}
+
+function reviewKey(review) {
+    return [review.author, review.date, review.title, review.body.slice(0, 80)].join('|').toLowerCase();
+}
+
+export function dedupeReviews(reviews) {
+    const seen = new Set();
+    return reviews.filter((review) => {
+        const key = reviewKey(review);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+export function limitReviews(reviews, maxReviewsPerLawyer) {
+    return maxReviewsPerLawyer > 0 ? reviews.slice(0, maxReviewsPerLawyer) : reviews;
+}
+
+// Reviews from JSON-LD first (most structured), then review cards in the markup
+export function extractReviewsFromPage($, html) {
+    const reviews = [];
+    extractJsonLdObjects(html).forEach((item) => {
+        const nodes = Array.isArray(item) ? item : [item, ...normalizeArray(item['@graph'])];
+        nodes.forEach((node) => {
+            normalizeArray(node?.review || node?.reviews).forEach((raw) => {
+                const review = normalizeReview(raw);
+                if (review) reviews.push(review);
+            });
+        });
+    });
+
+    $('[data-testid="review"], [itemprop="review"], .review-card, .client-review, article.review').each((_, el) => {
+        const review = extractReviewFromElement($, $(el));
+        if (review) reviews.push(review);
+    });
+
+    return dedupeReviews(reviews);
+}
+
+// /attorneys/35203-al-john-smith-123.html -> /attorneys/35203-al-john-smith-123/reviews.html
+export function buildReviewsUrl(profileUrl) {
+    try {
+        const url = new URL(profileUrl);
+        url.pathname = url.pathname.replace(/\.html$/, '/reviews.html');
+        url.search = '';
+        url.hash = '';
+        return url.pathname.endsWith('/reviews.html') ? url.href : '';
+    } catch {
+        return '';
+    }
+}
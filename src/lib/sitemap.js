@@ -0,0 +1,98 @@
+import { gunzipSync } from 'node:zlib';
+
+import { gotScraping } from 'got-scraping';
+
+import { AVVO_BASE_URL, isProfileUrl, resolveStateCode, toInputList } from './catalog.js';
+import { DEFAULT_HEADERS } from './fetch.js';
+import { log } from './log.js';
+
+export const DEFAULT_SITEMAP_URLS = [`${AVVO_BASE_URL}/sitemap.xml`];
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+function decodeXmlText(value) {
+    return value.trim().replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity]);
+}
+
+// <sitemapindex> lists child sitemaps, <urlset> lists pages; both keep their URLs in <loc>
+export function parseSitemap(xml) {
+    const type = /<sitemapindex[\s>]/i.test(xml) ? 'index' : 'urlset';
+    const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi)]
+        .map(([, loc]) => decodeXmlText(loc))
+        .filter(Boolean);
+    return { type, locs };
+}
+
+// .xml.gz files are served as binary gzip; compressed transfer encoding is already undone by got
+export function decodeSitemapBody(body) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return (gzipped ? gunzipSync(buffer) : buffer).toString('utf-8');
+}
+
+// Profile URLs start with the office ZIP and state ("/attorneys/35203-al-jane-roe-101.html"),
+// so states can be filtered before any profile is fetched. Patterns are regular expressions.
+export function buildSitemapUrlFilter({ states, patterns } = {}) {
+    const stateCodes = toInputList(states).map(resolveStateCode).filter(Boolean);
+    const regexes = toInputList(patterns).map((pattern) => new RegExp(pattern, 'i'));
+
+    return (url) => {
+        if (!isProfileUrl(url)) return false;
+        if (stateCodes.length > 0) {
+            const state = new URL(url).pathname.match(/^\/attorneys?\/\d{5}-([a-z]{2})-/i)?.[1]?.toLowerCase();
+            if (!stateCodes.includes(state)) return false;
+        }
+        return regexes.length === 0 || regexes.some((regex) => regex.test(url));
+    };
+}
+
+async function fetchSitemap(url, { proxyUrl }) {
+    const response = await gotScraping({
+        url,
+        headers: { ...DEFAULT_HEADERS, Accept: 'application/xml,text/xml,application/gzip,*/*;q=0.8' },
+        proxyUrl,
+        responseType: 'buffer',
+        timeout: { request: 30000 },
+        retry: { limit: 1 },
+        throwHttpErrors: false,
+    });
+    if (response.statusCode !== 200) {
+        log.debug(`Sitemap ${url} returned status ${response.statusCode}`);
+        return null;
+    }
+    return parseSitemap(decodeSitemapBody(response.body));
+}
+
+// Walks sitemap indexes breadth-first (including gzipped children) and returns matching profile
+// URLs, stopping once `limit` URLs are found (0 = no limit)
+export async function collectSitemapUrls(rootUrls, options = {}) {
+    const { proxyUrl, filter = isProfileUrl, limit = 0, maxDepth = 5, maxSitemaps = 500 } = options;
+    const queue = rootUrls.map((url) => ({ url, depth: 0 }));
+    const visited = new Set();
+    const urls = new Set();
+
+    while (queue.length > 0 && visited.size < maxSitemaps && (limit === 0 || urls.size < limit)) {
+        const { url, depth } = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        let sitemap = null;
+        try {
+            sitemap = await fetchSitemap(url, { proxyUrl });
+        } catch (error) {
+            log.debug(`Failed to fetch sitemap ${url}: ${error.message}`);
+        }
+        if (!sitemap) continue;
+
+        if (sitemap.type === 'index') {
+            if (depth < maxDepth) queue.push(...sitemap.locs.map((loc) => ({ url: loc, depth: depth + 1 })));
+            continue;
+        }
+        for (const loc of sitemap.locs) {
+            if (limit > 0 && urls.size >= limit) break;
+            if (filter(loc)) urls.add(loc);
+        }
+    }
+
+    return { urls: [...urls], sitemapsVisited: visited.size };
+}
@@ -0,0 +1,128 @@
+import * as cheerio from 'cheerio';
+
+import { log } from './log.js';
+import { normalizeUrl } from './utils.js';
+
+export function extractJsonLdObjects(html) {
+    const $ = cheerio.load(html);
+    const scripts = $('script[type="application/ld+json"]');
+    const parsed = [];
+
+    scripts.each((_, el) => {
+        const text = $(el).contents().text();
+        if (!text) return;
+        try {
+            const data = JSON.parse(text);
+            parsed.push(data);
+        } catch (err) {
+            log.debug(`Failed to parse JSON-LD script: ${err.message}`);
+        }
+    });
+
+    return parsed;
+}
+
+export function extractEmbeddedJson(html) {
+    const $ = cheerio.load(html);
+    const extracted = [];
+
+    const nextData = $('#__NEXT_DATA__').text();
+    if (nextData) {
+        try {
+            extracted.push(JSON.parse(nextData));
+        } catch (err) {
+            log.debug(`Failed to parse __NEXT_DATA__: ${err.message}`);
+        }
+    }
+
+    const jsonScripts = $('script[type="application/json"]:not(#__NEXT_DATA__)');
+    jsonScripts.each((_, el) => {
+        const text = $(el).contents().text();
+        if (!text || text.length < 30) return;
+        try {
+            extracted.push(JSON.parse(text));
+        } catch {
+            // Skip non-JSON blobs
+        }
+    });
+
+    const inlineScripts = $('script:not([src])').toArray();
+    inlineScripts.forEach((script) => {
+        const content = $(script).text();
+        if (!content) return;
+        const apolloMatch = content.match(/__APOLLO_STATE__\s*=\s*({[\s\S]*?})\s*;?\s*$/m);
+        if (apolloMatch) {
+            try {
+                extracted.push(JSON.parse(apolloMatch[1]));
+            } catch {
+                // Ignore non-JSON Apollo state
+            }
+        }
+        const stateMatch = content.match(/__INITIAL_STATE__\s*=\s*({[\s\S]*?})\s*;?\s*$/m);
+        if (stateMatch) {
+            try {
+                extracted.push(JSON.parse(stateMatch[1]));
+            } catch {
+                // Ignore non-JSON initial state
+            }
+        }
+    });
+
+    return extracted;
+}
+
+export function pickBestProfile(candidates, profileUrl) {
+    if (!candidates || candidates.length === 0) return null;
+    const normalizedProfileUrl = normalizeUrl(profileUrl, profileUrl);
+    let best = candidates[0];
+    let bestScore = -1;
+
+    for (const candidate of candidates) {
+        let score = 0;
+        if (candidate.profileUrl && normalizeUrl(candidate.profileUrl, profileUrl) === normalizedProfileUrl) {
+            score += 5;
+        }
+        if (candidate.email) score += 2;
+        if (candidate.phone) score += 2;
+        if (candidate.location) score += 2;
+        if (candidate.rating) score += 2;
+        if (candidate.website) score += 1;
+        if (candidate.image) score += 1;
+        if (candidate.bio) score += 1;
+        if (candidate.practiceAreas && candidate.practiceAreas.length > 0) score += 1;
+        if (score > bestScore) {
+            bestScore = score;
+            best = candidate;
+        }
+    }
+
+    return best;
+}
+
+export function collectLawyerCandidates(source, candidates = [], depth = 0) {
+    if (!source || depth > 7) return candidates;
+    if (Array.isArray(source)) {
+        for (const item of source) {
+            if (item && typeof item === 'object' && isLawyerCandidate(item)) {
+                candidates.push(item);
+            } else {
+                collectLawyerCandidates(item, candidates, depth + 1);
+            }
+        }
+        return candidates;
+    }
+
+    if (typeof source === 'object') {
+        for (const value of Object.values(source)) {
+            collectLawyerCandidates(value, candidates, depth + 1);
+        }
+    }
+    return candidates;
+}
+
+function isLawyerCandidate(item) {
+    const hasName = Boolean(item.name || item.fullName || item.displayName || item.title);
+    const hasProfile = Boolean(item.profileUrl || item.profile_url || item.url || item.link);
+    const hasHints = Boolean(item.practiceAreas || item.specialties || item.avvoRating || item.rating || item.location);
+    return hasName && (hasProfile || hasHints);
+}
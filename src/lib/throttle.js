@@ -0,0 +1,81 @@
+import { log } from './log.js';
+
+const BLOCKED_STATUS_CODES = [403, 429, 503];
+
+export function isBlockedStatus(statusCode) {
+    return BLOCKED_STATUS_CODES.includes(statusCode);
+}
+
+// Shared slow-down factor for the crawler and the got-scraping fetches. Every blocked response
+// doubles it; once the block rate over the recent window is low again, each success eases it
+// back towards 1. Delays are multiplied by it and concurrency is divided by it.
+export function createThrottle(options = {}) {
+    const {
+        adaptive = true,
+        maxMultiplier = 16,
+        windowSize = 50,
+        healthyBlockRate = 0.05,
+        recoveryFactor = 0.9,
+    } = options;
+
+    const outcomes = [];
+    const listeners = [];
+    const totals = { requests: 0, blocked: 0 };
+    let multiplier = 1;
+
+    const blockRate = () => (outcomes.length ? outcomes.filter(Boolean).length / outcomes.length : 0);
+
+    const setMultiplier = (value) => {
+        const next = Math.min(maxMultiplier, Math.max(1, value));
+        if (Math.abs(next - multiplier) < 0.01) return;
+        const slowedDown = next > multiplier;
+        multiplier = next;
+        if (slowedDown) log.info(`Blocks rising (${Math.round(blockRate() * 100)}% of recent requests) - slowing down x${multiplier.toFixed(1)}`);
+        listeners.forEach((listener) => listener({ multiplier }));
+    };
+
+    return {
+        // blocked: 403/429/503 or a challenge page; anything else that reached the site counts as healthy
+        record(blocked) {
+            totals.requests += 1;
+            if (blocked) totals.blocked += 1;
+            outcomes.push(Boolean(blocked));
+            if (outcomes.length > windowSize) outcomes.shift();
+            if (!adaptive) return;
+
+            if (blocked) setMultiplier(multiplier * 2);
+            else if (blockRate() <= healthyBlockRate) setMultiplier(multiplier * recoveryFactor);
+        },
+        delayFor(baseMs) {
+            return Math.round(baseMs * multiplier);
+        },
+        concurrencyFor(maxConcurrency) {
+            return Math.max(1, Math.floor(maxConcurrency / multiplier));
+        },
+        onChange(listener) {
+            listeners.push(listener);
+        },
+        get multiplier() {
+            return multiplier;
+        },
+        snapshot() {
+            return { ...totals, recentBlockRate: Number(blockRate().toFixed(3)), multiplier: Number(multiplier.toFixed(2)) };
+        },
+    };
+}
+
+// Caps the pauses taken across several calls, e.g. everything one request handler waits for.
+// take() grants at most what is left and returns 0 once the budget is used up.
+export function createWaitBudget(totalMs) {
+    let remainingMs = totalMs;
+    return {
+        take(ms) {
+            const granted = Math.max(0, Math.min(ms, remainingMs));
+            remainingMs -= granted;
+            return granted;
+        },
+        get remainingMs() {
+            return remainingMs;
+        },
+    };
+}
@@ -0,0 +1,117 @@
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function randomBetween(min, max) {
+    if (max <= min) return min;
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+export function normalizeText(value) {
+    if (!value) return '';
+    return String(value).replace(/\s+/g, ' ').trim();
+}
+
+export function normalizeUrl(value, baseUrl) {
+    if (!value) return '';
+    try {
+        return new URL(value, baseUrl).href;
+    } catch {
+        return value;
+    }
+}
+
+export function normalizeImage(value, baseUrl) {
+    if (!value) return '';
+
+    let imgUrl = '';
+    if (Array.isArray(value)) {
+        imgUrl = normalizeImage(value[0], baseUrl);
+    } else if (typeof value === 'string') {
+        imgUrl = normalizeUrl(value, baseUrl);
+    } else if (typeof value === 'object') {
+        imgUrl = normalizeUrl(
+            value.url || value.contentUrl || value['@id'] || value.thumbnailUrl || '',
+            baseUrl
+        );
+    }
+
+    // Filter out placeholder images
+    if (imgUrl) {
+        const urlLower = imgUrl.toLowerCase();
+        if (urlLower.includes('placeholder') ||
+            urlLower.includes('default-avatar') ||
+            urlLower.includes('default_avatar') ||
+            urlLower.includes('no-photo') ||
+            urlLower.includes('no_photo') ||
+            urlLower.includes('ghost.svg') ||  // Avvo placeholder image
+            urlLower.includes('ghost-')) {     // Other ghost placeholders
+            return '';
+        }
+    }
+
+    return imgUrl;
+}
+
+export function pickAttrValue($el, attrs) {
+    if (!$el || !$el.length) return '';
+    for (const attr of attrs) {
+        const value = $el.attr(attr);
+        if (value) return value;
+    }
+    return '';
+}
+
+export function normalizeArray(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.filter(Boolean);
+    if (typeof value === 'string') {
+        return value.split(',').map((item) => normalizeText(item)).filter(Boolean);
+    }
+    return [value];
+}
+
+export function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    // First signed decimal in the text, so "Rating: 9.8" and "-86.81" both parse
+    const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    if (!match) return null;
+    const num = Number(match[0]);
+    return Number.isFinite(num) ? num : null;
+}
+
+export function toInt(value) {
+    if (value === null || value === undefined) return 0;
+    const num = parseInt(String(value).replace(/[^\d]/g, ''), 10);
+    return Number.isFinite(num) ? num : 0;
+}
+
+export function pickFirst(...values) {
+    for (const value of values) {
+        if (value !== null && value !== undefined && value !== '') return value;
+    }
+    return null;
+}
+
+export function isBlockedHtml(html) {
+    const snippet = html.slice(0, 5000);
+    return snippet.includes('Just a moment') ||
+        snippet.includes('cf-browser-verification') ||
+        snippet.includes('Checking your browser') ||
+        snippet.includes('Cloudflare');
+}
+
+export function normalizeDate(value) {
+    const text = normalizeText(value);
+    if (!text) return null;
+    // A bare year stays a year rather than becoming January 1st
+    if (/^\d{4}$/.test(text)) return text;
+    const parsed = new Date(text);
+    return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString().slice(0, 10);
+}
+
+export function slugify(value) {
+    return normalizeText(value)
+        .toLowerCase()
+        .replace(/&/g, ' ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,77 @@
+import { createHash, createHmac } from 'node:crypto';
+
+import { gotScraping } from 'got-scraping';
+
+import { log } from './log.js';
+import { randomBetween, sleep } from './utils.js';
+
+export const SIGNATURE_HEADER = 'X-Avvo-Signature';
+export const TIMESTAMP_HEADER = 'X-Avvo-Timestamp';
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const RETRYABLE_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+// Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with the shared secret
+export function signPayload(body, secret, timestamp) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Same batch, same key: retries and batches re-sent after a migration can be dropped by the receiver
+export function idempotencyKeyFor(lawyerKeys, { scope = '' } = {}) {
+    return createHash('sha256').update([scope, ...lawyerKeys].join('\n')).digest('hex');
+}
+
+function retryDelayFor(response, attempt, retryDelayMs) {
+    const retryAfter = Number(response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) return Math.min(retryAfter * 1000, 60000);
+    return Math.min(retryDelayMs * 2 ** attempt, 30000) + randomBetween(0, Math.ceil(retryDelayMs / 2));
+}
+
+// POSTs a JSON payload; returns { ok, statusCode, attempts }. Network errors, 408, 429 and 5xx are retried.
+export async function postWebhook(url, payload, options = {}) {
+    const { secret, headers = {}, idempotencyKey, maxRetries = 3, retryDelayMs = 1000, timeoutMs = 30000 } = options;
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const requestHeaders = {
+            ...headers,
+            'Content-Type': 'application/json',
+            ...(idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {}),
+            ...(secret ? { [TIMESTAMP_HEADER]: timestamp, [SIGNATURE_HEADER]: signPayload(body, secret, timestamp) } : {}),
+        };
+
+        let response = null;
+        let error = null;
+        try {
+            response = await gotScraping({
+                url,
+                method: 'POST',
+                body,
+                headers: requestHeaders,
+                useHeaderGenerator: false,
+                timeout: { request: timeoutMs },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+            });
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                return { ok: true, statusCode: response.statusCode, attempts: attempt + 1 };
+            }
+            if (!RETRYABLE_STATUS_CODES.includes(response.statusCode)) {
+                log.warning(`Webhook ${url} rejected the payload with status ${response.statusCode}`);
+                return { ok: false, statusCode: response.statusCode, attempts: attempt + 1 };
+            }
+        } catch (err) {
+            error = err;
+        }
+
+        if (attempt === maxRetries) {
+            log.warning(`Webhook ${url} failed after ${attempt + 1} attempts: ${error?.message || `status ${response.statusCode}`}`);
+            return { ok: false, statusCode: response?.statusCode ?? null, attempts: attempt + 1 };
+        }
+        const delay = retryDelayFor(response, attempt, retryDelayMs);
+        log.debug(`Retry ${attempt + 1}/${maxRetries} after ${delay}ms for webhook ${url}`);
+        await sleep(delay);
+    }
+    return { ok: false, statusCode: null, attempts: maxRetries + 1 };
+}
@@ -1,23 +1,56 @@
 import { Actor, log } from 'apify';
-import { CheerioCrawler, RequestQueue } from 'crawlee';
 import * as cheerio from 'cheerio';
-import { gotScraping } from 'got-scraping';
+import { CheerioCrawler, RequestQueue } from 'crawlee';
 
-await Actor.init();
+import { ANSWERS_FIELD, withoutAnswers } from './lib/answers.js';
+import { createBrowserRenderer } from './lib/browser.js';
+import { createProfileCache } from './lib/cache.js';
+import { buildSearchUrl, buildSearchUrls, hasSearchInput, isProfileUrl, toInputList } from './lib/catalog.js';
+import { applySnapshot, applySnapshotUpdate, diffLawyerRecords, lawyerKeyFor } from './lib/changes.js';
+import { openChunkedMap } from './lib/chunked-store.js';
+import { buildCrmPayload, CRM_FORMATS } from './lib/crm.js';
+import { buildExportRows, EXPLODE_MODES, EXPORT_FORMATS, serializeExport } from './lib/export.js';
+import {
+    collectLawyerAnswers,
+    collectLawyerReviews,
+    DEFAULT_HEADERS,
+    enrichLawyersWithProfiles,
+    fetchJsonWithRetries,
+    USER_AGENTS,
+} from './lib/fetch.js';
+import { buildLawyerFilters, findFailedFilter } from './lib/filters.js';
+import { addLawyerToFirm, buildFirmRecords } from './lib/firms.js';
+import {
+    createHealthState,
+    evaluateHealth,
+    findDriftedFields,
+    recordFillRates,
+    updateBaseline,
+} from './lib/health.js';
+import { createIdentityIndex, identityOf, mergeLawyerRecords } from './lib/identity.js';
+import { normalizeLawyer } from './lib/lawyer.js';
+import {
+    extractApiUrlsFromHtml,
+    extractLawyersFromApiJson,
+    extractListingLawyers,
+    extractNextPageUrlFromApi,
+    extractNextPageUrlFromHtml,
+    extractSubdirectoryLinks,
+    filterSubdirectoryLinks,
+} from './lib/listing.js';
+import { setLogger } from './lib/log.js';
+import { buildOutputShaper } from './lib/output.js';
+import { buildPageUrl, extractPaginationInfo, resultSetSignature } from './lib/pagination.js';
+import { mergeProfileData, parseLawyerProfile } from './lib/profile.js';
+import { withExtractionSource, withoutProvenance } from './lib/provenance.js';
+import { buildSitemapUrlFilter, collectSitemapUrls, DEFAULT_SITEMAP_URLS } from './lib/sitemap.js';
+import { createThrottle, createWaitBudget, isBlockedStatus } from './lib/throttle.js';
+import { isBlockedHtml, randomBetween, sleep } from './lib/utils.js';
+import { idempotencyKeyFor, postWebhook } from './lib/webhook.js';
 
-const USER_AGENTS = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36 Edg/119.0.0.0',
-];
-
-const DEFAULT_HEADERS = {
-    Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9',
-};
+await Actor.init();
+// The library modules log through the SDK's instance, so both follow the same log level
+setLogger(log);
 
 const LABELS = {
     LISTING: 'LISTING',
@@ -26,1279 +59,813 @@ const LABELS = {
     SITEMAP: 'SITEMAP',
 };
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-function randomBetween(min, max) {
-    if (max <= min) return min;
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-function normalizeText(value) {
-    if (!value) return '';
-    return String(value).replace(/\s+/g, ' ').trim();
-}
+const EXTRACTION_STATS_KEYS = {
+    embeddedJson: 'embeddedJsonExtractions',
+    jsonLd: 'jsonLdExtractions',
+    html: 'htmlExtractions',
+};
 
-function normalizeObjectText(value) {
-    if (!value || typeof value !== 'object') return '';
-    return normalizeText(value.value || value.text || '');
+async function saveDebugHtml({ html, key, url, extra }) {
+    if (!html) return;
+    await Actor.setValue(key, html, { contentType: 'text/html' });
+    log.info(`Saved debug HTML for ${url} to ${key}`);
+    if (extra) log.debug(extra);
 }
 
-function normalizeUrl(value, baseUrl) {
-    if (!value) return '';
-    try {
-        return new URL(value, baseUrl).href;
-    } catch {
-        return value;
+function buildStartUrls(input) {
+    const hasStartUrls = (Array.isArray(input.startUrls) && input.startUrls.length > 0) || Boolean(input.startUrl?.trim());
+    if (hasStartUrls && hasSearchInput(input)) {
+        log.warning('Both start URLs and practiceAreas/states are set - crawling the start URLs and ignoring the search builder.');
     }
-}
-
-function normalizeExternalWebsite(value, baseUrl) {
-    const normalized = normalizeUrl(value, baseUrl);
-    if (!normalized) return '';
-    try {
-        const host = new URL(normalized).hostname.toLowerCase();
-        if (host.includes('avvo.com')) return '';
-    } catch {
-        return normalized;
+    if (Array.isArray(input.startUrls) && input.startUrls.length > 0) {
+        return input.startUrls.map((item) => item.url || item).filter(Boolean);
     }
-    return normalized;
-}
-
-function normalizeImage(value, baseUrl) {
-    if (!value) return '';
-
-    let imgUrl = '';
-    if (Array.isArray(value)) {
-        imgUrl = normalizeImage(value[0], baseUrl);
-    } else if (typeof value === 'string') {
-        imgUrl = normalizeUrl(value, baseUrl);
-    } else if (typeof value === 'object') {
-        imgUrl = normalizeUrl(
-            value.url || value.contentUrl || value['@id'] || value.thumbnailUrl || '',
-            baseUrl
-        );
+    if (input.startUrl && input.startUrl.trim()) {
+        return [input.startUrl.trim()];
     }
-
-    // Filter out placeholder images
-    if (imgUrl) {
-        const urlLower = imgUrl.toLowerCase();
-        if (urlLower.includes('placeholder') ||
-            urlLower.includes('default-avatar') ||
-            urlLower.includes('default_avatar') ||
-            urlLower.includes('no-photo') ||
-            urlLower.includes('no_photo') ||
-            urlLower.includes('ghost.svg') ||  // Avvo placeholder image
-            urlLower.includes('ghost-')) {     // Other ghost placeholders
-            return '';
+    if (hasSearchInput(input)) {
+        const search = buildSearchUrls(input);
+        if (search.unknownPracticeAreas.length > 0) {
+            log.warning(`Unknown practice areas (skipped): ${search.unknownPracticeAreas.join(', ')}`);
         }
+        if (search.unknownStates.length > 0) {
+            log.warning(`Unknown states (skipped): ${search.unknownStates.join(', ')}`);
+        }
+        if (search.unknownCombinations.length > 0) {
+            log.warning(`Unknown city/state combinations (skipped): ${search.unknownCombinations.join('; ')}`);
+        }
+        if (search.ambiguousCities.length > 0) {
+            log.warning(`Cities without a state are searched in all ${search.states.length} selected states: `
+                + `${search.ambiguousCities.join(', ')}. Write them as "City, ST" to search one state only.`);
+        }
+        if (search.practiceAreas.length === 0 || search.states.length === 0) {
+            throw new Error('Invalid input: at least one known "practiceAreas" slug and one "states" code are required.');
+        }
+        log.info(
+            `Built ${search.urls.length} search URLs from ${search.practiceAreas.length} practice areas `
+            + `and ${search.states.length} states`,
+        );
+        return search.urls;
     }
-
-    return imgUrl;
-}
-
-function pickAttrValue($el, attrs) {
-    if (!$el || !$el.length) return '';
-    for (const attr of attrs) {
-        const value = $el.attr(attr);
-        if (value) return value;
-    }
-    return '';
-}
-
-function normalizeArray(value) {
-    if (!value) return [];
-    if (Array.isArray(value)) return value.filter(Boolean);
-    if (typeof value === 'string') {
-        return value.split(',').map((item) => normalizeText(item)).filter(Boolean);
-    }
-    return [value];
-}
-
-function toNumber(value) {
-    if (value === null || value === undefined) return null;
-    const num = typeof value === 'number' ? value : Number(String(value).replace(/[^\d.]/g, ''));
-    return Number.isFinite(num) ? num : null;
+    // Default fallback
+    return [buildSearchUrl({ practiceArea: 'bankruptcy-debt', state: 'al' })];
 }
 
-function toInt(value) {
-    if (value === null || value === undefined) return 0;
-    const num = parseInt(String(value).replace(/[^\d]/g, ''), 10);
-    return Number.isFinite(num) ? num : 0;
-}
+// Records of this run's snapshot are kept in the run's own store until the run finishes, so a
+// resumed run picks them up without carrying them in CRAWL_STATE
+const SNAPSHOT_CURRENT_KEY = 'SNAPSHOT_CURRENT';
 
-function pickFirst(...values) {
-    for (const value of values) {
-        if (value !== null && value !== undefined && value !== '') return value;
-    }
-    return null;
+async function openSnapshot({ storeName, key, resumed }) {
+    const store = await Actor.openKeyValueStore(storeName);
+    const previous = await openChunkedMap(store, key);
+    const current = await openChunkedMap(await Actor.openKeyValueStore(), SNAPSHOT_CURRENT_KEY, { replace: !resumed });
+    log.info(`Loaded snapshot "${storeName}/${key}" with ${previous.size} lawyers`);
+    return { store, key, previous, current };
 }
 
-function extractLicenseYear($, html) {
-    // Look for "Licensed for X years" text in HTML
-    const licenseMatch = html.match(/Licensed for (\d+) years/i);
-    if (licenseMatch) {
-        const yearsLicensed = parseInt(licenseMatch[1], 10);
-        const currentYear = new Date().getFullYear();
-        return currentYear - yearsLicensed;
-    }
-
-    // Fallback to HTML selectors
-    if ($) {
-        const licenseYearEl = $('[data-testid="license-year"], .license-year, [class*="license-year"]').first();
-        const yearText = normalizeText(licenseYearEl.text());
-        const yearMatch = yearText.match(/(\d{4})/);
-        if (yearMatch) {
-            return parseInt(yearMatch[1], 10);
-        }
-
-        // Try to extract from "First Licensed" text
-        const firstLicensedEl = $('[class*="first-licensed"], [class*="admitted"]').first();
-        const firstLicensedText = normalizeText(firstLicensedEl.text());
-        const firstLicensedMatch = firstLicensedText.match(/(\d{4})/);
-        if (firstLicensedMatch) {
-            return parseInt(firstLicensedMatch[1], 10);
+async function finalizeSnapshot(snapshot, options) {
+    const { complete, shapeRecord, webhookOutbox, stats } = options;
+    const { store, key, previous, current } = snapshot;
+
+    // A capped or partial crawl has not seen every lawyer, so absence does not mean removal
+    if (complete) {
+        const removed = [...previous.keys()]
+            .filter((profileKey) => !current.has(profileKey))
+            .map((profileKey) => ({
+                ...previous.get(profileKey),
+                changeType: 'removed',
+                changes: {},
+                scrapedAt: new Date().toISOString(),
+            }));
+        if (removed.length > 0) {
+            const records = shapeRecord ? removed.map(shapeRecord) : removed;
+            await Actor.pushData(records);
+            webhookOutbox?.enqueue(records, removed.map(lawyerKeyFor));
+            stats.removedLawyers += removed.length;
         }
+        const replaced = await openChunkedMap(store, key, { replace: true });
+        [...current.entries()].forEach(([profileKey, lawyer]) => replaced.set(profileKey, lawyer));
+        await replaced.save();
+    } else {
+        log.warning('Crawl did not cover the full result set - skipping removal detection and merging snapshot.');
+        [...current.entries()].forEach(([profileKey, lawyer]) => previous.set(profileKey, lawyer));
+        await previous.save();
     }
 
-    return null;
+    log.info(`Saved snapshot "${key}" (new: ${stats.newLawyers}, modified: ${stats.modifiedLawyers}, `
+        + `removed: ${stats.removedLawyers}, unchanged: ${stats.unchangedLawyers})`);
 }
 
-function isBlockedHtml(html) {
-    const snippet = html.slice(0, 5000);
-    return snippet.includes('Just a moment') ||
-        snippet.includes('cf-browser-verification') ||
-        snippet.includes('Checking your browser') ||
-        snippet.includes('Cloudflare');
+const CRAWL_STATE_KEY = 'CRAWL_STATE';
+const IDENTITIES_KEY = 'IDENTITIES';
+const SAVED_LAWYERS_KEY = 'SAVED_LAWYERS';
+const WEBHOOK_OUTBOX_KEY = 'WEBHOOK_OUTBOX';
+
+async function loadCrawlState() {
+    const state = await Actor.getValue(CRAWL_STATE_KEY);
+    if (!state) return null;
+    log.info(`Resuming crawl: ${state.stats?.totalLawyersScraped || 0} lawyers already saved, `
+        + `${state.pendingLawyers?.length || 0} pending`);
+    return state;
 }
 
-function extractJsonLdObjects(html) {
-    const $ = cheerio.load(html);
-    const scripts = $('script[type="application/ld+json"]');
-    const parsed = [];
-
-    scripts.each((_, el) => {
-        const text = $(el).contents().text();
-        if (!text) return;
-        try {
-            const data = JSON.parse(text);
-            parsed.push(data);
-        } catch (err) {
-            log.debug(`Failed to parse JSON-LD script: ${err.message}`);
-        }
+async function persistCrawlState(state) {
+    const { runId, stats, identities, savedLawyers, laterSightings, discoveredApiUrls, resultSignatures, pendingLawyers } = state;
+    const { snapshot, firms, healthMonitor, webhookOutbox } = state;
+    await identities.save();
+    await savedLawyers.save();
+    await snapshot?.current.save();
+    if (webhookOutbox) await Actor.setValue(WEBHOOK_OUTBOX_KEY, webhookOutbox.pending());
+    await Actor.setValue(CRAWL_STATE_KEY, {
+        runId,
+        stats,
+        laterSightings: [...laterSightings.entries()],
+        discoveredApiUrls: [...discoveredApiUrls],
+        resultSignatures: [...resultSignatures].map(([startUrl, signatures]) => [startUrl, [...signatures.entries()]]),
+        pendingLawyers: [...pendingLawyers.values()],
+        firms,
+        health: healthMonitor ? { state: healthMonitor.state, samples: healthMonitor.samples } : null,
+        persistedAt: new Date().toISOString(),
     });
-
-    return parsed;
 }
 
-function extractEmbeddedJson(html) {
-    const $ = cheerio.load(html);
-    const extracted = [];
-
-    const nextData = $('#__NEXT_DATA__').text();
-    if (nextData) {
-        try {
-            extracted.push(JSON.parse(nextData));
-        } catch (err) {
-            log.debug(`Failed to parse __NEXT_DATA__: ${err.message}`);
-        }
-    }
-
-    const jsonScripts = $('script[type="application/json"]');
-    jsonScripts.each((_, el) => {
-        const text = $(el).contents().text();
-        if (!text || text.length < 30) return;
-        try {
-            extracted.push(JSON.parse(text));
-        } catch {
-            // Skip non-JSON blobs
-        }
-    });
-
-    const inlineScripts = $('script:not([src])').toArray();
-    inlineScripts.forEach((script) => {
-        const content = $(script).text();
-        if (!content) return;
-        const apolloMatch = content.match(/__APOLLO_STATE__\s*=\s*({[\s\S]*?})\s*;?\s*$/m);
-        if (apolloMatch) {
-            try {
-                extracted.push(JSON.parse(apolloMatch[1]));
-            } catch {
-                // Ignore non-JSON Apollo state
-            }
-        }
-        const stateMatch = content.match(/__INITIAL_STATE__\s*=\s*({[\s\S]*?})\s*;?\s*$/m);
-        if (stateMatch) {
-            try {
-                extracted.push(JSON.parse(stateMatch[1]));
-            } catch {
-                // Ignore non-JSON initial state
-            }
-        }
-    });
+const HEALTH_STORE_NAME = 'avvo-extraction-health';
+const HEALTH_SUMMARY_KEY = 'EXTRACTION_HEALTH';
+const MAX_DRIFT_SAMPLES = 5;
 
-    return extracted;
+async function openHealthMonitor({ key, restored }) {
+    const store = await Actor.openKeyValueStore(HEALTH_STORE_NAME);
+    const baseline = await store.getValue(key);
+    if (baseline) log.info(`Loaded fill-rate baseline "${key}" from ${baseline.runs} previous runs`);
+    return {
+        store,
+        key,
+        baseline,
+        state: restored?.state || createHealthState(),
+        samples: restored?.samples || [],
+    };
 }
 
-function pickBestProfile(candidates, profileUrl) {
-    if (!candidates || candidates.length === 0) return null;
-    const normalizedProfileUrl = normalizeUrl(profileUrl, profileUrl);
-    let best = candidates[0];
-    let bestScore = -1;
+// Records fill rates for a scope and saves a sample of pages missing fields the baseline almost always has
+async function trackExtractionHealth(records, options) {
+    const { healthMonitor, scope, html, url } = options;
+    if (!healthMonitor || records.length === 0) return;
+    recordFillRates(records, { health: healthMonitor.state, scope });
 
-    for (const candidate of candidates) {
-        let score = 0;
-        if (candidate.profileUrl && normalizeUrl(candidate.profileUrl, profileUrl) === normalizedProfileUrl) {
-            score += 5;
-        }
-        if (candidate.email) score += 2;
-        if (candidate.phone) score += 2;
-        if (candidate.location) score += 2;
-        if (candidate.rating) score += 2;
-        if (candidate.website) score += 1;
-        if (candidate.image) score += 1;
-        if (candidate.bio) score += 1;
-        if (candidate.practiceAreas && candidate.practiceAreas.length > 0) score += 1;
-        if (score > bestScore) {
-            bestScore = score;
-            best = candidate;
-        }
-    }
+    if (!html || healthMonitor.samples.length >= MAX_DRIFT_SAMPLES) return;
+    const drifted = findDriftedFields(records, healthMonitor.baseline?.scopes?.[scope]?.fillRates);
+    if (drifted.length === 0) return;
 
-    return best;
+    const key = `DEBUG_DRIFT_${scope.toUpperCase()}_${healthMonitor.samples.length + 1}`;
+    healthMonitor.samples.push({ key, url, scope, missingFields: drifted });
+    await saveDebugHtml({ html, key, url, extra: `Fields missing compared with the baseline: ${drifted.join(', ')}` });
 }
 
-function collectLawyerCandidates(source, candidates = [], depth = 0) {
-    if (!source || depth > 7) return candidates;
-    if (Array.isArray(source)) {
-        for (const item of source) {
-            if (item && typeof item === 'object' && isLawyerCandidate(item)) {
-                candidates.push(item);
-            } else {
-                collectLawyerCandidates(item, candidates, depth + 1);
-            }
-        }
-        return candidates;
-    }
+async function finalizeHealthMonitor(healthMonitor, options) {
+    const { dropThreshold, stats } = options;
+    const report = evaluateHealth(healthMonitor.state, healthMonitor.baseline, { dropThreshold });
+    stats.extractionHealth = report.status;
+
+    await Actor.setValue(HEALTH_SUMMARY_KEY, {
+        ...report,
+        baselineKey: healthMonitor.key,
+        baselineRuns: healthMonitor.baseline?.runs || 0,
+        dropThreshold,
+        samples: healthMonitor.samples,
+        evaluatedAt: new Date().toISOString(),
+    });
 
-    if (typeof source === 'object') {
-        for (const value of Object.values(source)) {
-            collectLawyerCandidates(value, candidates, depth + 1);
-        }
+    if (report.status === 'degraded') {
+        const drops = Object.entries(report.scopes)
+            .flatMap(([scope, { drops: scopeDrops }]) => scopeDrops.map(({ field, baseline, current }) => (
+                `${scope}.${field} ${Math.round(baseline * 100)}% -> ${Math.round(current * 100)}%`
+            )));
+        log.warning(`Extraction health degraded, fill rates dropped: ${drops.join('; ')}. See "${HEALTH_SUMMARY_KEY}".`);
+        await Actor.setStatusMessage(`Degraded extraction: ${drops.length} fields dropped below their usual fill rate`);
+        // Keep the baseline from healthy runs so a broken run does not become the new normal
+        return;
     }
-    return candidates;
-}
 
-function isLawyerCandidate(item) {
-    const hasName = Boolean(item.name || item.fullName || item.displayName || item.title);
-    const hasProfile = Boolean(item.profileUrl || item.profile_url || item.url || item.link);
-    const hasHints = Boolean(item.practiceAreas || item.specialties || item.avvoRating || item.rating || item.location);
-    return hasName && (hasProfile || hasHints);
+    const updated = updateBaseline(healthMonitor.baseline, healthMonitor.state);
+    if (updated) await healthMonitor.store.setValue(healthMonitor.key, updated);
 }
 
-function normalizeLawyer(raw, baseUrl) {
-    if (!raw || typeof raw !== 'object') return null;
+const WEBHOOK_MODES = ['batch', 'final'];
 
-    const name = normalizeText(pickFirst(raw.name, raw.fullName, raw.displayName, raw.title));
-    const profileUrl = normalizeUrl(pickFirst(raw.profileUrl, raw.profile_url, raw.url, raw.link), baseUrl);
-    const address = raw.address || {};
+// Delivery failures are logged and counted but never fail the run; the dataset stays the source of truth
+async function deliverToWebhook(records, options) {
+    const { webhook, stats, keys } = options;
+    if (!webhook) return;
+    // HubSpot contacts and Salesforce leads cannot express a removal, so removed lawyers
+    // from incremental runs only go out in raw format
+    const sendable = webhook.format === 'raw' ? records : records.filter((record) => record.changeType !== 'removed');
+    if (sendable.length === 0) return;
 
-    let location = '';
-    if (typeof address === 'string') {
-        location = normalizeText(address);
-    } else if (address && typeof address === 'object') {
-        location = normalizeText(
-            [address.addressLocality, address.addressRegion, address.postalCode].filter(Boolean).join(', ')
-        );
-    } else {
-        const locationParts = [
-            raw.location,
-            raw.city,
-            raw.state,
-            raw.region,
-            raw.postalCode,
-            raw.zip,
-        ].filter(Boolean);
-        location = normalizeText(locationParts.join(', '));
+    const idempotencyKey = idempotencyKeyFor(keys || records.map(lawyerKeyFor), { scope: webhook.scope });
+    const payload = buildCrmPayload(sendable, { format: webhook.format, batchId: idempotencyKey });
+    try {
+        const result = await postWebhook(webhook.url, payload, {
+            secret: webhook.secret,
+            headers: webhook.headers,
+            idempotencyKey,
+        });
+        if (result.ok) {
+            stats.webhookBatchesSent++;
+            return;
+        }
+        log.warning(`Webhook rejected batch of ${sendable.length} records (status ${result.statusCode} after ${result.attempts} attempts)`);
+    } catch (error) {
+        log.warning(`Webhook delivery failed for batch of ${sendable.length} records: ${error.message}`);
     }
+    stats.webhookFailures++;
+}
 
-    const practiceAreas = normalizeArray(
-        pickFirst(
-            raw.practiceAreas,
-            raw.practice_areas,
-            raw.specialties,
-            raw.practiceArea,
-            raw.tags,
-            raw.knowsAbout,
-            raw.areaServed
-        )
-    ).map(normalizeText).filter(Boolean);
-
-    const contactPoints = normalizeArray(raw.contactPoint).filter((item) => item && typeof item === 'object');
-    const contactEmail = contactPoints.map((item) => item.email).find(Boolean);
-    const contactPhone = contactPoints.map((item) => item.telephone || item.phone).find(Boolean);
-
-    // Enhanced image extraction with better prioritization
-    const image = normalizeImage(
-        pickFirst(raw.image, raw.photo, raw.logo, raw.profilePhoto, raw.avatar, raw.photoUrl, raw.imageUrl),
-        baseUrl
-    );
-
-    const contactInfo = raw.contactInfo || raw.contact || {};
-    const contactWebsite = contactInfo.website || contactInfo.url || contactInfo.site;
-
-    const sameAs = normalizeArray(raw.sameAs);
-    const externalSameAs = sameAs.find((item) => typeof item === 'string' && !item.includes('avvo.com'));
-
-    // Extract coordinates from geo field
-    const geo = raw.geo || {};
-    const latitude = toNumber(geo.latitude || geo.lat);
-    const longitude = toNumber(geo.longitude || geo.lng || geo.lon);
-
-    // Extract education/alumni data
-    const alumniOf = normalizeArray(raw.alumniOf || raw.alumni);
-    const educationList = normalizeArray(raw.education);
-    const combinedEducation = [...alumniOf, ...educationList]
-        .map((item) => {
-            if (typeof item === 'string') return normalizeText(item);
-            if (item && typeof item === 'object') {
-                const schoolName = normalizeText(item.name || item.school || item.institution);
-                return schoolName || normalizeText(item.description);
-            }
-            return null;
-        })
-        .filter(Boolean);
-
-    // Extract awards
-    const awardsList = normalizeArray(pickFirst(raw.award, raw.awards, raw.honors));
-    const processedAwards = awardsList
-        .map((item) => {
-            if (typeof item === 'string') return normalizeText(item);
-            if (item && typeof item === 'object') {
-                return normalizeText(item.name || item.title || item.description);
-            }
-            return null;
-        })
-        .filter(Boolean);
-
-    // Extract license states/jurisdictions
-    const memberOf = normalizeArray(raw.memberOf || raw.jurisdiction);
-    const licenseStates = memberOf
-        .map((item) => {
-            if (typeof item === 'string') return normalizeText(item);
-            if (item && typeof item === 'object') {
-                return normalizeText(item.name || item.state || item.jurisdiction);
-            }
-            return null;
-        })
-        .filter(Boolean);
-
-    // Extract certifications
-    const credentials = normalizeArray(raw.hasCredential || raw.credentials || raw.certifications);
-    const certificationsList = credentials
-        .map((item) => {
-            if (typeof item === 'string') return normalizeText(item);
-            if (item && typeof item === 'object') {
-                return normalizeText(item.name || item.title || item.credential);
-            }
-            return null;
-        })
-        .filter(Boolean);
-
-    // Separate Avvo rating (0-10 scale) from client rating (aggregateRating)
-    const avvoRating = toNumber(pickFirst(raw.avvoRating, raw.avvo_rating));
-    const clientRating = toNumber(raw.aggregateRating?.ratingValue);
-
-    // Use avvoRating if available, otherwise fall back to aggregateRating or generic rating
-    const primaryRating = avvoRating || clientRating || toNumber(pickFirst(raw.rating, raw.ratingValue));
+// Batch mode: request handlers only queue their batches and one sender posts them in order, so
+// webhook retries never count against requestHandlerTimeoutSecs. A batch stays queued until its
+// delivery finished, so batches still queued at a migration are sent by the resumed run.
+function createWebhookOutbox(webhook, options) {
+    const { stats, restored = [] } = options;
+    const queued = [...restored];
+    let sending = null;
+
+    const drain = async () => {
+        while (queued.length > 0) {
+            const { records, keys } = queued[0];
+            await deliverToWebhook(records, { webhook, stats, keys });
+            queued.shift();
+        }
+        sending = null;
+    };
 
     return {
-        name: name || 'Unknown',
-        rating: primaryRating,
-        avvoRating: avvoRating,
-        clientRating: clientRating,
-        reviewCount: toInt(
-            pickFirst(
-                raw.reviewCount,
-                raw.review_count,
-                raw.reviews?.length,
-                raw.aggregateRating?.reviewCount,
-                raw.aggregateRating?.ratingCount
-            )
-        ),
-        practiceAreas,
-        location,
-        phone: normalizeText(
-            pickFirst(raw.phone, raw.phoneNumber, raw.telephone, contactPhone, contactInfo.phone)
-        ),
-        email: normalizeText(pickFirst(raw.email, contactEmail, contactInfo.email)),
-        website: normalizeExternalWebsite(
-            pickFirst(raw.website, raw.websiteUrl, contactWebsite, externalSameAs),
-            baseUrl
-        ),
-        licenseYear: null, // Will be set from HTML parsing
-        licenseStates,
-        barAdmissions: normalizeArray(raw.barAdmissions).map(normalizeText).filter(Boolean),
-        languages: normalizeArray(pickFirst(raw.languages, raw.language)).map(normalizeText).filter(Boolean),
-        profileUrl,
-        bio: normalizeText(pickFirst(raw.bio, raw.biography, raw.summary, raw.about, raw.description)),
-        education: combinedEducation,
-        awards: processedAwards,
-        certifications: certificationsList,
-        reviews: normalizeArray(raw.reviews),
-        image,
-        coordinates: latitude && longitude ? { latitude, longitude } : null,
-        scrapedAt: new Date().toISOString(),
+        enqueue(records, keys) {
+            queued.push({ records, keys });
+            sending ||= drain();
+        },
+        async flush() {
+            sending ||= drain();
+            await sending;
+        },
+        pending: () => [...queued],
     };
 }
 
-function extractLawyersFromJsonLd(html, baseUrl) {
-    const jsonObjects = extractJsonLdObjects(html);
-    const lawyers = [];
-
-    for (const data of jsonObjects) {
-        if (Array.isArray(data)) {
-            data.forEach((item) => addJsonLdLawyer(item, lawyers, baseUrl));
-        } else {
-            addJsonLdLawyer(data, lawyers, baseUrl);
-        }
+// Pages through the default dataset so end-of-run consumers never hold more than one chunk of raw items
+async function forEachDatasetChunk(chunkSize, onChunk) {
+    const dataset = await Actor.openDataset();
+    for (let offset = 0; ; offset += chunkSize) {
+        const { items } = await dataset.getData({ offset, limit: chunkSize });
+        if (items.length === 0) break;
+        await onChunk(items, offset);
+        if (items.length < chunkSize) break;
     }
-
-    return lawyers;
 }
 
-function addJsonLdLawyer(data, lawyers, baseUrl) {
-    if (!data) return;
-    if (data['@graph']) {
-        data['@graph'].forEach((item) => addJsonLdLawyer(item, lawyers, baseUrl));
-        return;
-    }
-    if (data['@type'] === 'ItemList' && data.itemListElement) {
-        data.itemListElement.forEach((item) => addJsonLdLawyer(item.item || item, lawyers, baseUrl));
-        return;
-    }
-    const type = data['@type'];
-    if (type === 'Attorney' || type === 'Person' || type === 'LegalService') {
-        const normalized = normalizeLawyer(data, baseUrl);
-        if (normalized) lawyers.push(normalized);
-    }
+// Final mode: re-read the default dataset once the crawl is done and send it in fixed-size chunks
+async function deliverDatasetToWebhook(webhook, options) {
+    const { stats } = options;
+    await forEachDatasetChunk(webhook.batchSize, (items, offset) => deliverToWebhook(items, {
+        webhook,
+        stats,
+        keys: [`offset:${offset}`, ...items.map(lawyerKeyFor)],
+    }));
+    log.info(`Webhook delivery finished (sent: ${stats.webhookBatchesSent}, failed: ${stats.webhookFailures})`);
 }
 
-function extractApiUrlsFromHtml(html, baseUrl) {
-    const candidates = new Set();
-    const absoluteRegex = /https?:\/\/[^\s"'\\]+\/api\/[^\s"'\\]+/g;
-    const relativeRegex = /['"]((?:\/api\/|\/graphql)[^'"\s]+)['"]/g;
+const EXPORT_CHUNK_SIZE = 1000;
 
-    let match;
-    while ((match = absoluteRegex.exec(html)) !== null) {
-        candidates.add(match[0]);
-    }
-    while ((match = relativeRegex.exec(html)) !== null) {
-        candidates.add(normalizeUrl(match[1], baseUrl));
+// Writes flattened <key>.csv / <key>.jsonl records built from the final dataset contents
+async function writeFlatExports(exportOptions) {
+    const { formats, key, explode, delimiter } = exportOptions;
+    // A merged update supersedes the lawyer's earlier record
+    const latest = new Map();
+    await forEachDatasetChunk(EXPORT_CHUNK_SIZE, (items) => {
+        items.forEach((item) => latest.set(lawyerKeyFor(item), item));
+    });
+    const rows = buildExportRows([...latest.values()], { explode, delimiter });
+
+    for (const format of formats) {
+        const { body, contentType } = serializeExport(rows, format);
+        await Actor.setValue(`${key}.${format}`, body, { contentType });
+        log.info(`Saved ${rows.length} flattened rows to "${key}.${format}"`);
     }
+}
 
-    return [...candidates];
+// Re-fetches a blocked listing or profile page in headless Chromium; API requests stay HTTP-only
+async function renderInBrowser(request, options) {
+    const { browserRenderer, stats, proxyUrl, userAgent } = options;
+    if (!browserRenderer || request.userData.label === LABELS.API) return null;
+
+    stats.browserRequests += 1;
+    const page = await browserRenderer.render(request.url, { proxyUrl, userAgent });
+    if (!page?.html) return null;
+    stats.browserRecovered += 1;
+    log.info(`Recovered blocked page in the browser: ${request.url}`);
+    return page.html;
 }
 
-function extractNextPageUrlFromHtml($, baseUrl) {
-    const nextHref = $('a[rel="next"], link[rel="next"]').attr('href');
-    if (nextHref) return normalizeUrl(nextHref, baseUrl);
+const CRAWL_MODES = ['search', 'sitemap'];
+
+// Blocked-profile retry pauses and the closing delay of one request come out of this budget,
+// and the request handler timeout is raised by the same amount
+const HANDLER_WAIT_BUDGET_MS = 30000;
+
+// Profile URLs are fetched ahead of filtering, so leave headroom when filters will reject some
+const SITEMAP_FILTER_HEADROOM = 5;
+
+async function enqueueSitemapProfiles(input, options) {
+    const { requestQueue, proxyConfiguration, maxLawyers, maxRequestsPerCrawl, filters } = options;
+    const rootUrls = toInputList(input.sitemapUrls);
+    // maxLawyers 0 means "no limit", but the crawl stops at maxRequestsPerCrawl either way
+    const wanted = filters ? maxLawyers * SITEMAP_FILTER_HEADROOM : maxLawyers;
+    const limit = wanted > 0 ? Math.min(wanted, maxRequestsPerCrawl) : maxRequestsPerCrawl;
+    const { urls, sitemapsVisited } = await collectSitemapUrls(rootUrls.length > 0 ? rootUrls : DEFAULT_SITEMAP_URLS, {
+        proxyUrl: await proxyConfiguration?.newUrl(),
+        filter: buildSitemapUrlFilter({ states: input.states, patterns: input.sitemapUrlPatterns }),
+        limit,
+    });
 
-    const nextButton = $('a[class*="next"], .pagination a').filter((_, el) => {
-        const text = normalizeText($(el).text()).toLowerCase();
-        return text === 'next' || text === 'next page';
-    }).first();
+    await requestQueue.addRequests(urls.map((url) => ({ url, userData: { label: LABELS.PROFILE } })));
+    log.info(`Enqueued ${urls.length} profile URLs from ${sitemapsVisited} sitemaps`);
+    return urls.length;
+}
 
-    const href = nextButton.attr('href');
-    return href ? normalizeUrl(href, baseUrl) : '';
+// Queues the city/county pages of a listing one level deeper; the include list only narrows
+// the first level so nested pages under an included city are still followed
+async function enqueueSubdirectories($, options) {
+    const { baseUrl, depth, drillDown, requestQueue, stats } = options;
+    const links = filterSubdirectoryLinks(extractSubdirectoryLinks($, baseUrl), {
+        include: depth === 0 ? drillDown.include : [],
+        exclude: drillDown.exclude,
+    });
+    for (const link of links) {
+        const { wasAlreadyPresent } = await requestQueue.addRequest({
+            url: link.url,
+            userData: { label: LABELS.LISTING, drillDepth: depth + 1 },
+        });
+        if (!wasAlreadyPresent) stats.subdirectoriesQueued += 1;
+    }
 }
 
-function extractNextPageUrlFromApi(json, baseUrl) {
-    if (!json || typeof json !== 'object') return '';
-    const candidate = pickFirst(
-        json.nextPageUrl,
-        json.next,
-        json.links?.next,
-        json.pagination?.next,
-        json.paging?.next
-    );
-    return candidate ? normalizeUrl(candidate, baseUrl) : '';
+// Per pagination chain (a start URL or drill-down page and the pages after it): pages and lawyers
+// seen, the page count the listing reports, and why the chain ended
+function paginationStatsFor(startUrl, options) {
+    const { stats } = options;
+    stats.pagination[startUrl] ??= {
+        pages: 0,
+        results: 0,
+        totalPages: null,
+        totalResults: null,
+        synthesizedPages: 0,
+        repeatedPages: 0,
+        stoppedBy: null,
+    };
+    return stats.pagination[startUrl];
 }
 
-async function fetchJsonWithRetries(url, { proxyUrl, headers, maxRetries = 3 }) {
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await gotScraping({
-                url,
-                headers,
-                proxyUrl,
-                timeout: { request: 30000 }, // Increased from 20s
-                retry: { limit: 0 },
-                throwHttpErrors: false,
-            });
+// Follows the rendered "next" link when there is one; otherwise synthesizes ?page=N+1 while the
+// listing's own page count says there is more. A page repeating a result set already seen in
+// the same chain ends it, since Avvo serves the last page again for out-of-range page numbers.
+// Signatures map to the page that produced them, so a retried page does not look like a repeat.
+function findNextListingPage($, options) {
+    const { html, pageUrl, baseUrl, startUrl, lawyers, resultSignatures, stats } = options;
+    const pageStats = paginationStatsFor(startUrl, { stats });
+    const info = extractPaginationInfo($, html, { baseUrl, resultsOnPage: lawyers.length });
+    if (info.totalPages) pageStats.totalPages = Math.max(pageStats.totalPages || 0, info.totalPages);
+    if (info.totalResults) pageStats.totalResults = info.totalResults;
+
+    if (lawyers.length === 0) {
+        pageStats.pages += 1;
+        pageStats.stoppedBy = 'emptyPage';
+        return null;
+    }
 
-            if ([403, 429, 503].includes(response.statusCode)) {
-                throw new Error(`Blocked with status ${response.statusCode}`);
-            }
-            if (response.statusCode < 200 || response.statusCode >= 300) {
-                throw new Error(`Unexpected status ${response.statusCode}`);
-            }
+    const signature = resultSetSignature(lawyers);
+    if (!resultSignatures.has(startUrl)) resultSignatures.set(startUrl, new Map());
+    const seen = resultSignatures.get(startUrl);
+    const firstSeenOn = seen.get(signature);
+    if (firstSeenOn && firstSeenOn !== pageUrl) {
+        pageStats.repeatedPages += 1;
+        pageStats.stoppedBy = 'repeatedResults';
+        log.warning(`Page ${info.currentPage} of ${startUrl} repeats the results of ${firstSeenOn} - stopping pagination`);
+        return null;
+    }
+    if (!firstSeenOn) {
+        seen.set(signature, pageUrl);
+        pageStats.pages += 1;
+        pageStats.results += lawyers.length;
+    }
 
-            const bodyText = typeof response.body === 'string' ? response.body : response.body.toString('utf-8');
-            return JSON.parse(bodyText);
-        } catch (err) {
-            if (attempt === maxRetries) {
-                log.warning(`Failed after ${maxRetries + 1} attempts: ${url} - ${err.message}`);
-                throw err;
-            }
-            const backoff = Math.min(1000 * 2 ** attempt, 10000); // 1s, 2s, 4s, 8s, 10s
-            log.debug(`Retry ${attempt + 1}/${maxRetries} after ${backoff}ms for ${url}`);
-            await sleep(backoff + randomBetween(0, 500));
-        }
+    const linkedUrl = extractNextPageUrlFromHtml($, baseUrl);
+    if (linkedUrl) return linkedUrl;
+    if (pageStats.totalPages && info.currentPage < pageStats.totalPages) {
+        pageStats.synthesizedPages += 1;
+        return buildPageUrl(baseUrl, info.currentPage + 1);
     }
+    pageStats.stoppedBy = 'lastPage';
     return null;
 }
 
-function extractLawyersFromApiJson(json, baseUrl) {
-    const candidates = collectLawyerCandidates(json);
-    const lawyers = candidates.map((item) => normalizeLawyer(item, baseUrl)).filter(Boolean);
-    return lawyers;
+// Counts the rejection in statistics when the lawyer fails one of the input filters
+function passesFilters(lawyer, options) {
+    const { filters, stats, allowMissing } = options;
+    const failed = findFailedFilter(lawyer, filters, { allowMissing });
+    if (!failed) return true;
+    stats.filterRejections[failed] = (stats.filterRejections[failed] || 0) + 1;
+    stats.filteredLawyers += 1;
+    return false;
 }
 
-function extractLawyerDataViaHtml($, baseUrl) {
-    const selectors = [
-        'div[data-testid="lawyer-card"]',
-        '.lawyer-card',
-        '[class*="lawyer"][class*="card"]',
-        'article[data-lawyer-id]',
-        '.search-result-lawyer',
-        '.profile-card',
-        '[data-lawyer-name]',
-    ];
-
-    let lawyerElements = $([]);
-    for (const selector of selectors) {
-        const elements = $(selector);
-        if (elements.length > 0) {
-            log.info(`Found ${elements.length} lawyer cards with selector: ${selector}`);
-            lawyerElements = elements;
-            break;
+// Duplicates within one page (e.g. API and HTML cards, URL variants) are merged into a single
+// record. Sightings of a lawyer accepted by an earlier page are returned with that lawyer's key
+// for mergeLaterSightings.
+function resolveDuplicates(lawyers, options) {
+    const { identityIndex, stats } = options;
+    const accepted = new Map();
+    const laterSightings = [];
+    lawyers.forEach((lawyer) => {
+        const key = lawyerKeyFor(lawyer);
+        const existingKey = identityIndex.resolve(lawyer, key);
+        if (!existingKey) {
+            accepted.set(key, lawyer);
+        } else if (accepted.has(existingKey)) {
+            accepted.set(existingKey, mergeLawyerRecords(accepted.get(existingKey), lawyer));
+            stats.duplicatesMerged++;
+        } else {
+            laterSightings.push([existingKey, lawyer]);
         }
-    }
-
-    if (lawyerElements.length === 0) {
-        return [];
-    }
+    });
+    return { lawyers: [...accepted.values()], laterSightings };
+}
 
-    const lawyers = [];
-    lawyerElements.each((_, element) => {
-        const lawyer = extractLawyerFromElement($, $(element), baseUrl);
-        if (lawyer) lawyers.push(lawyer);
+// Pushes lawyers already output in this run again, flagged as merged updates
+async function pushMergedUpdates(lawyers, options) {
+    const { snapshot, snapshotKeyFor, shapeRecord, webhookOutbox, stats } = options;
+    const updates = snapshot
+        ? lawyers.map((lawyer) => applySnapshotUpdate(lawyer, { snapshot, stats, keyFor: snapshotKeyFor })).filter(Boolean)
+        : lawyers;
+    if (updates.length === 0) return;
+
+    const records = updates.map((lawyer) => {
+        const record = { ...lawyer, mergedUpdate: true };
+        return shapeRecord ? shapeRecord(record) : record;
     });
-    return lawyers;
+    await Actor.pushData(records);
+    stats.mergedUpdatesPushed += records.length;
+    // Distinct from the lawyers' first delivery so receivers do not drop the update as a replay
+    webhookOutbox?.enqueue(records, [`merged-update:${stats.mergedUpdatesPushed}`, ...updates.map(lawyerKeyFor)]);
 }
 
-function extractLawyerFromElement($, $el, baseUrl) {
-    try {
-        const nameSelectors = [
-            '[data-testid="lawyer-name"]',
-            'h2 a',
-            'h3 a',
-            '.lawyer-name',
-            '.profile-name',
-            'a[href*="/attorney/"]',
-        ];
-
-        let name = '';
-        let profileUrl = '';
-
-        for (const selector of nameSelectors) {
-            const nameEl = $el.find(selector).first();
-            if (nameEl.length && normalizeText(nameEl.text())) {
-                name = normalizeText(nameEl.text());
-                profileUrl = normalizeUrl(nameEl.attr('href') || '', baseUrl);
-                break;
+// Merges a later sighting into the lawyer's record instead of dropping it: a lawyer still being
+// enriched picks it up right before its push, one already pushed is pushed again as a merged
+// update when the sighting adds anything. Sightings of lawyers that were filtered out or cut by
+// maxLawyers are only counted. Firm aggregates keep the first record.
+async function mergeLaterSightings(sightings, options) {
+    const { pendingLawyers, laterSightings, savedLawyers, includeProvenance, stats } = options;
+    const updatedKeys = new Set();
+    sightings.forEach(([key, sighting]) => {
+        const lawyer = includeProvenance ? sighting : withoutProvenance(sighting);
+        if (savedLawyers.has(key)) {
+            const saved = savedLawyers.get(key);
+            const merged = mergeLawyerRecords(saved, lawyer);
+            if (Object.keys(diffLawyerRecords(saved, merged)).length === 0) {
+                stats.duplicatesSkipped++;
+                return;
             }
+            savedLawyers.set(key, merged);
+            updatedKeys.add(key);
+            stats.duplicatesMerged++;
+        } else if (pendingLawyers.has(key)) {
+            laterSightings.set(key, laterSightings.has(key) ? mergeLawyerRecords(laterSightings.get(key), lawyer) : lawyer);
+            stats.duplicatesMerged++;
+        } else {
+            stats.duplicatesSkipped++;
         }
+    });
+    if (updatedKeys.size > 0) {
+        await pushMergedUpdates([...updatedKeys].map((key) => savedLawyers.get(key)), options);
+    }
+}
 
-        const ratingSelectors = [
-            '[data-testid="rating"]',
-            '.rating-value',
-            '.avvo-rating',
-            '[class*="rating"]',
-        ];
-
-        let rating = null;
-        for (const selector of ratingSelectors) {
-            const ratingEl = $el.find(selector).first();
-            if (ratingEl.length) {
-                const ratingMatch = normalizeText(ratingEl.text()).match(/(\d+\.?\d*)/);
-                if (ratingMatch) {
-                    rating = parseFloat(ratingMatch[1]);
-                    break;
-                }
-            }
-        }
+async function handleLawyers(lawyers, options) {
+    const { maxLawyers, pendingLawyers, filters, includeContactInfo, includeReviews, includeAnswers, stats } = options;
 
-        const reviewSelectors = [
-            '[data-testid="review-count"]',
-            '.review-count',
-            '[class*="review"]',
-        ];
-
-        let reviewCount = 0;
-        for (const selector of reviewSelectors) {
-            const reviewEl = $el.find(selector).first();
-            if (reviewEl.length) {
-                reviewCount = toInt(reviewEl.text());
-                break;
-            }
-        }
+    const resolved = resolveDuplicates(lawyers, options);
+    await mergeLaterSightings(resolved.laterSightings, options);
+    let filtered = resolved.lawyers;
 
-        const practiceAreaSelectors = [
-            '[data-testid="practice-areas"]',
-            '.practice-areas',
-            '.specialties',
-            '[class*="practice"]',
-        ];
-
-        let practiceAreas = [];
-        for (const selector of practiceAreaSelectors) {
-            const practiceEl = $el.find(selector);
-            if (practiceEl.length) {
-                practiceEl.find('li, span, a').each((_, item) => {
-                    const area = normalizeText($(item).text());
-                    if (area && area.length > 2) {
-                        practiceAreas.push(area);
-                    }
-                });
-                if (practiceAreas.length > 0) break;
-            }
-        }
+    // Filter before the cap so rejected lawyers do not use up maxLawyers. Fields that only
+    // the profile page carries are rechecked after enrichment in processLawyers.
+    const allowMissing = includeContactInfo || includeReviews || includeAnswers;
+    filtered = filtered.filter((lawyer) => passesFilters(lawyer, { filters, stats, allowMissing }));
 
-        if (practiceAreas.length === 0) {
-            for (const selector of practiceAreaSelectors) {
-                const practiceEl = $el.find(selector).first();
-                if (practiceEl.length) {
-                    const text = normalizeText(practiceEl.text());
-                    if (text.includes(',')) {
-                        practiceAreas = text.split(',').map((area) => normalizeText(area)).filter(Boolean);
-                        break;
-                    }
-                }
-            }
-        }
-
-        const locationSelectors = [
-            '[data-testid="location"]',
-            '.location',
-            '.address',
-            '[class*="location"]',
-        ];
-
-        let location = '';
-        for (const selector of locationSelectors) {
-            const locationEl = $el.find(selector).first();
-            if (locationEl.length && normalizeText(locationEl.text())) {
-                location = normalizeText(locationEl.text());
-                break;
-            }
-        }
+    // Lawyers still being enriched by other handlers count against the limit too
+    if (maxLawyers > 0) {
+        const reserved = stats.totalLawyersScraped + pendingLawyers.size;
+        filtered = filtered.slice(0, Math.max(0, maxLawyers - reserved));
+    }
 
-        const phoneSelectors = [
-            '[data-testid="phone"]',
-            '.phone',
-            'a[href^="tel:"]',
-            '[class*="phone"]',
-        ];
-
-        let phone = '';
-        for (const selector of phoneSelectors) {
-            const phoneEl = $el.find(selector).first();
-            if (phoneEl.length) {
-                phone = normalizeText(phoneEl.text()) || normalizeText(phoneEl.attr('href')?.replace('tel:', ''));
-                if (phone) break;
-            }
-        }
+    if (filtered.length === 0) return;
 
-        const websiteSelectors = [
-            '[data-testid="website"]',
-            'a[href*="website"]',
-            '.website',
-            'a[data-website]',
-        ];
-
-        let website = '';
-        for (const selector of websiteSelectors) {
-            const websiteEl = $el.find(selector).first();
-            if (websiteEl.length) {
-                website = normalizeUrl(websiteEl.attr('href') || '', baseUrl);
-                if (website) break;
-            }
-        }
+    filtered.forEach((lawyer) => pendingLawyers.set(lawyerKeyFor(lawyer), lawyer));
+    await processLawyers(filtered, options);
+}
 
-        const yearsLicensedSelectors = [
-            '[data-testid="years-licensed"]',
-            '.years-licensed',
-            '[class*="years"]',
-        ];
-
-        let yearsLicensed = null;
-        for (const selector of yearsLicensedSelectors) {
-            const yearsEl = $el.find(selector).first();
-            if (yearsEl.length) {
-                yearsLicensed = toInt(yearsEl.text());
-                break;
-            }
-        }
+// Enriches and pushes lawyers that already passed dedupe; also used to flush pending lawyers after a restart
+async function processLawyers(lawyers, options) {
+    const {
+        includeContactInfo,
+        includeReviews,
+        proxyUrl,
+        userAgent,
+        maxProfileConcurrency,
+        maxReviewsPerLawyer,
+        reviewsDataset,
+        includeAnswers,
+        maxAnswersPerLawyer,
+        answersDataset,
+        pendingLawyers,
+        filters,
+        shapeRecord,
+        includeProvenance,
+        healthMonitor,
+        profileCache,
+        throttle,
+        maxBlockedRetries,
+        waitBudget,
+        newSession,
+        webhookOutbox,
+        firms,
+        stats,
+        snapshot,
+        snapshotKeyFor,
+        savedLawyers,
+        laterSightings,
+    } = options;
 
-        const barSelectors = [
-            '[data-testid="bar-admissions"]',
-            '.bar-admissions',
-            '[class*="bar"]',
-        ];
-
-        let barAdmissions = [];
-        for (const selector of barSelectors) {
-            const barEl = $el.find(selector);
-            if (barEl.length) {
-                barEl.find('li, span').each((_, item) => {
-                    const bar = normalizeText($(item).text());
-                    if (bar && bar.length > 1) {
-                        barAdmissions.push(bar);
-                    }
-                });
-                if (barAdmissions.length > 0) break;
-            }
+    // Process and push data in batches of 10 for incremental saving
+    const BATCH_SIZE = 10;
+    for (let i = 0; i < lawyers.length; i += BATCH_SIZE) {
+        const batch = lawyers.slice(i, i + BATCH_SIZE);
+        let processedBatch = batch;
+        if (includeContactInfo || includeReviews || includeAnswers) {
+            processedBatch = await enrichLawyersWithProfiles(batch, {
+                maxConcurrency: maxProfileConcurrency,
+                proxyUrl,
+                userAgent,
+                includeReviews,
+                maxReviewsPerLawyer,
+                includeAnswers,
+                maxAnswersPerLawyer,
+                profileCache,
+                throttle,
+                maxBlockedRetries,
+                waitBudget,
+                newSession,
+                onProfilePage: ({ url, html, profile }) => trackExtractionHealth([profile], {
+                    healthMonitor,
+                    scope: 'profile',
+                    html,
+                    url,
+                }),
+            });
+            stats.profileEnrichments += processedBatch.length;
         }
 
-        const langSelectors = [
-            '[data-testid="languages"]',
-            '.languages',
-            '[class*="language"]',
-        ];
-
-        let languages = [];
-        for (const selector of langSelectors) {
-            const langEl = $el.find(selector);
-            if (langEl.length) {
-                langEl.find('li, span').each((_, item) => {
-                    const lang = normalizeText($(item).text());
-                    if (lang && lang.length > 1) {
-                        languages.push(lang);
-                    }
-                });
-                if (languages.length > 0) break;
-            }
+        if (filters) {
+            processedBatch = processedBatch.filter((lawyer) => passesFilters(lawyer, { filters, stats, allowMissing: false }));
         }
 
-        const bioSelectors = [
-            '[data-testid="bio"]',
-            '.bio',
-            '.description',
-            '.profile-description',
-            '.profile-summary',
-            '.lawyer-bio',
-            '.bio-text',
-            '[itemprop="description"]',
-            'p',
-        ];
-
-        let bio = '';
-        for (const selector of bioSelectors) {
-            const bioEl = $el.find(selector).first();
-            const text = normalizeText(bioEl.text());
-            if (bioEl.length && text.length > 50) {
-                bio = text;
-                break;
-            }
+        if (!includeProvenance) {
+            processedBatch = processedBatch.map(withoutProvenance);
         }
 
-        const imageEl = $el.find('img').first();
-        const headshotImgEl = $el.find('div.headshot img, .headshot img').first();
-        const image = normalizeImage(
-            pickAttrValue(headshotImgEl.length > 0 ? headshotImgEl : imageEl, ['src', 'data-src']) ||
-            headshotImgEl.attr('src') ||
-            imageEl.attr('src') ||
-            imageEl.attr('data-src') || '',
-            baseUrl
-        );
-
-        if (!name && !profileUrl) return null;
-
-        return {
-            name: name || 'Unknown',
-            rating,
-            reviewCount,
-            practiceAreas,
-            location,
-            phone,
-            email: '',
-            website,
-            barAdmissions,
-            languages,
-            profileUrl,
-            bio,
-            image,
-            scrapedAt: new Date().toISOString(),
-        };
-    } catch (err) {
-        log.debug(`Error extracting individual lawyer: ${err.message}`);
-        return null;
-    }
-}
-
-async function fetchLawyerProfile(profileUrl, { proxyUrl, userAgent, includeReviews }) {
-    try {
-        const response = await gotScraping({
-            url: profileUrl,
-            headers: {
-                ...DEFAULT_HEADERS,
-                'User-Agent': userAgent,
-                'Sec-Fetch-Dest': 'document',
-                'Sec-Fetch-Mode': 'navigate',
-                'Sec-Fetch-Site': 'same-origin',
-            },
-            proxyUrl,
-            timeout: { request: 20000 },
-            retry: { limit: 0 },
-            throwHttpErrors: false,
-        });
-
-        if ([403, 429, 503].includes(response.statusCode)) {
-            return { blocked: true };
-        }
-        if (response.statusCode !== 200) {
-            return null;
-        }
+        await trackExtractionHealth(processedBatch, { healthMonitor, scope: 'output' });
 
-        const html = typeof response.body === 'string' ? response.body : response.body.toString('utf-8');
-        if (isBlockedHtml(html)) {
-            return { blocked: true };
+        if (firms) {
+            processedBatch.forEach((lawyer) => addLawyerToFirm(lawyer, { firms }));
         }
 
-        const $ = cheerio.load(html);
-        const embeddedPayloads = extractEmbeddedJson(html);
-        const embeddedCandidates = [];
-        embeddedPayloads.forEach((payload) => {
-            embeddedCandidates.push(...extractLawyersFromApiJson(payload, profileUrl));
-        });
-        const embeddedProfile = pickBestProfile(embeddedCandidates, profileUrl);
-
-        const jsonLdProfiles = extractLawyersFromJsonLd(html, profileUrl);
-        const jsonLdProfile = pickBestProfile(jsonLdProfiles, profileUrl);
-
-        const metaDescription = normalizeText(
-            $('meta[name="description"], meta[property="og:description"]').first().attr('content')
-        );
-        const bioFromHtml = normalizeText(
-            $('[data-testid="bio"], .lawyer-bio, .bio-text, .profile-bio, [itemprop="description"]').first().text()
-        );
-        const bio = pickFirst(bioFromHtml, metaDescription, jsonLdProfile?.bio, embeddedProfile?.bio) || '';
-
-        const education = [];
-        $('[data-testid="education"] li, .education-item, .school-item, [class*="education"] li').each((_, el) => {
-            const value = normalizeText($(el).text());
-            if (value) education.push(value);
-        });
-
-        const awards = [];
-        $('[data-testid="awards"] li, .award-item, [class*="award"] li').each((_, el) => {
-            const value = normalizeText($(el).text());
-            if (value) awards.push(value);
-        });
-
-        const emailLink = $('a[href^="mailto:"]').first();
-        const emailHref = emailLink.attr('href') || '';
-        const emailFromHtml = normalizeText(
-            emailHref.replace(/^mailto:/i, '').split('?')[0] || emailLink.text()
-        );
-        const emailFromData = normalizeText(
-            pickAttrValue(
-                $('[data-email], [data-contact-email], [data-testid="email"], .email, .contact-email').first(),
-                ['data-email', 'data-contact-email']
-            ) ||
-            $('[data-email], [data-contact-email], [data-testid="email"], .email, .contact-email')
-                .first()
-                .text()
-        );
-
-        const phoneLink = $('a[href^="tel:"]').first();
-        const phoneHref = phoneLink.attr('href') || '';
-        const phoneFromHtml = normalizeText(
-            phoneHref.replace(/^tel:/i, '').split('?')[0] || phoneLink.text()
-        ) || normalizeText($('[data-testid="phone"], .phone, .contact-phone').first().text());
-        const phoneFromData = normalizeText(
-            pickAttrValue(
-                $('[data-phone], [data-contact-phone], [data-testid="phone"]').first(),
-                ['data-phone', 'data-contact-phone']
-            ) ||
-            $('[data-phone], [data-contact-phone], [data-testid="phone"]').first().text()
-        );
-
-        const locationFromHtml = normalizeText(
-            $('[data-testid="address"], [data-testid="location"], .profile-address, .office-address, address, .address, .location')
-                .first()
-                .text()
-        );
-
-        const ratingFromMeta = toNumber(
-            $('meta[itemprop="ratingValue"], meta[property="ratingValue"], meta[name="rating"]')
-                .first()
-                .attr('content')
-        );
-
-        // Use specific CSS selector for rating from detail page
-        const reviewScoreLink = $('a.review-score').first();
-        const ratingFromReviewScore = toNumber(normalizeText(reviewScoreLink.text()));
-
-        // Also try the Avvo rating badge (e.g., "Rating: 10.0")
-        const avvoRatingBadge = $('span.avvo-rating-count').first();
-        let avvoRatingFromBadge = null;
-        if (avvoRatingBadge.length > 0) {
-            const badgeText = normalizeText(avvoRatingBadge.text());
-            const ratingMatch = badgeText.match(/(\d+\.?\d*)/);
-            if (ratingMatch) {
-                avvoRatingFromBadge = toNumber(ratingMatch[1]);
+        // Move reviews into their own dataset, linked back by profileUrl
+        if (reviewsDataset) {
+            const reviewItems = processedBatch.flatMap((lawyer) => (lawyer.reviews || []).map((review) => ({
+                profileUrl: lawyer.profileUrl,
+                lawyerName: lawyer.name,
+                ...review,
+            })));
+            if (reviewItems.length > 0) {
+                await reviewsDataset.pushData(reviewItems);
+                stats.reviewsScraped += reviewItems.length;
             }
+            processedBatch = processedBatch.map((lawyer) => ({ ...lawyer, reviews: [] }));
+        } else {
+            stats.reviewsScraped += processedBatch.reduce((sum, lawyer) => sum + (lawyer.reviews?.length || 0), 0);
         }
 
-        const ratingFromHtml = ratingFromReviewScore || toNumber(
-            normalizeText(
-                $('[data-testid="rating"], .avvo-rating, .rating-value, [class*="rating"]')
-                    .first()
-                    .text()
-            )
-        );
-
-        const reviewCountFromMeta = toInt(
-            $('meta[itemprop="reviewCount"], meta[itemprop="ratingCount"], meta[name="reviewCount"]')
-                .first()
-                .attr('content')
-        );
-
-        // Use specific CSS selector for review count from detail page
-        const reviewCountSpan = $('span.review-count').first();
-        const reviewCountFromSpan = toInt(normalizeText(reviewCountSpan.text()));
-        const reviewCountFromHtml = reviewCountFromSpan || toInt(
-            normalizeText(
-                $('[data-testid="review-count"], [class*="review-count"], [itemprop="reviewCount"]')
-                    .first()
-                    .text()
-            )
-        );
-
-        const websiteFromHtml = normalizeExternalWebsite(
-            pickAttrValue(
-                $('[data-testid="website"] a, a[data-website], a[data-event-label="Website"], a[aria-label*="Website"], a[href*="website"], [data-website-url], [data-url]')
-                    .first(),
-                ['href', 'data-website-url', 'data-url']
-            ),
-            profileUrl
-        );
-
-        // Use normalizeImage (not normalizeUrl) to filter out Avvo logos
-        const imageFromMeta = normalizeImage(
-            $('meta[property="og:image"], meta[name="twitter:image"], meta[itemprop="image"]').first().attr('content') || '',
-            profileUrl
-        );
-
-        // Use specific CSS selector for profile image from detail page
-        const headshotImg = $('div.headshot img').first();
-        const imageFromHtml = normalizeImage(
-            pickAttrValue(headshotImg, ['src', 'data-src', 'data-lazy-src']) ||
-            pickAttrValue(
-                $('[data-testid="profile-photo"] img, .profile-photo img, .profile-header img, img[alt*="Attorney"], img[alt*="Lawyer"], img[itemprop="image"]')
-                    .first(),
-                ['src', 'data-src', 'data-lazy-src']
-            ),
-            profileUrl
-        );
-
-        // Use specific CSS selector for practice areas from detail page
-        // span.practice-area-list contains comma-separated text like "Divorce & Separation, Family, Child Custody"
-        const practiceAreas = [];
-        const practiceAreaList = $('span.practice-area-list');
-        if (practiceAreaList.length > 0) {
-            const practiceText = normalizeText(practiceAreaList.text());
-            if (practiceText) {
-                // Split by comma and add each practice area
-                practiceText.split(',').forEach((area) => {
-                    const trimmed = normalizeText(area);
-                    if (trimmed && trimmed.length > 1) {
-                        practiceAreas.push(trimmed);
-                    }
-                });
+        // Answers never stay in the lawyer record; they go to their own dataset, linked back by profileUrl
+        if (answersDataset) {
+            const answerItems = processedBatch.flatMap((lawyer) => (lawyer[ANSWERS_FIELD] || []).map((answer) => ({
+                profileUrl: lawyer.profileUrl,
+                lawyerName: lawyer.name,
+                ...answer,
+            })));
+            if (answerItems.length > 0) {
+                await answersDataset.pushData(answerItems);
+                stats.answersScraped += answerItems.length;
             }
+            processedBatch = processedBatch.map(withoutAnswers);
         }
 
-        // Fallback: Try detailed practice area section
-        if (practiceAreas.length === 0) {
-            $('div.practice-area-detail strong').each((_, el) => {
-                const value = normalizeText($(el).text());
-                if (value && value.length > 1) practiceAreas.push(value);
-            });
-        }
-
-        // Fallback: Try generic selectors
-        if (practiceAreas.length === 0) {
-            $('[data-testid="practice-areas"], .practice-areas, .specialties')
-                .find('li, span, a')
-                .each((_, el) => {
-                    const value = normalizeText($(el).text());
-                    if (value && value.length > 1) practiceAreas.push(value);
-                });
-        }
-
-        let reviews = [];
-        if (includeReviews) {
-            const jsonLd = extractJsonLdObjects(html);
-            jsonLd.forEach((item) => {
-                const reviewData = normalizeArray(item.review || item.reviews);
-                if (reviewData.length > 0) {
-                    reviews = reviews.concat(reviewData);
-                }
-            });
-        }
-
-        return {
-            bio,
-            education,
-            awards,
-            reviews,
-            email: pickFirst(jsonLdProfile?.email, embeddedProfile?.email, emailFromData, emailFromHtml),
-            phone: pickFirst(jsonLdProfile?.phone, embeddedProfile?.phone, phoneFromData, phoneFromHtml),
-            location: pickFirst(jsonLdProfile?.location, embeddedProfile?.location, locationFromHtml),
-            rating: pickFirst(jsonLdProfile?.rating, embeddedProfile?.rating, ratingFromMeta, ratingFromHtml),
-            avvoRating: pickFirst(avvoRatingFromBadge, jsonLdProfile?.avvoRating, embeddedProfile?.avvoRating),
-            clientRating: pickFirst(ratingFromReviewScore, jsonLdProfile?.clientRating, embeddedProfile?.clientRating),
-            reviewCount: pickFirst(
-                reviewCountFromHtml,
-                jsonLdProfile?.reviewCount,
-                embeddedProfile?.reviewCount,
-                reviewCountFromMeta
-            ),
-            website: pickFirst(jsonLdProfile?.website, embeddedProfile?.website, websiteFromHtml),
-            image: pickFirst(imageFromHtml, imageFromMeta, jsonLdProfile?.image, embeddedProfile?.image),
-            practiceAreas: practiceAreas.length > 0
-                ? practiceAreas
-                : (jsonLdProfile?.practiceAreas?.length ? jsonLdProfile.practiceAreas : (embeddedProfile?.practiceAreas || [])),
-            licenseYear: extractLicenseYear($, html),
-            coordinates: pickFirst(jsonLdProfile?.coordinates, embeddedProfile?.coordinates),
-            licenseStates: pickFirst(jsonLdProfile?.licenseStates, embeddedProfile?.licenseStates),
-            certifications: pickFirst(jsonLdProfile?.certifications, embeddedProfile?.certifications),
-        };
-    } catch (error) {
-        log.debug(`Failed to fetch profile page ${profileUrl}: ${error.message}`);
-        return null;
-    }
-}
-
-async function enrichLawyersWithProfiles(lawyers, options) {
-    if (lawyers.length === 0) return lawyers;
-
-    const { maxConcurrency, proxyUrl, userAgent, includeReviews } = options;
-    const enriched = [];
-    let blockedCount = 0;
-
-    for (let i = 0; i < lawyers.length; i += maxConcurrency) {
-        const batch = lawyers.slice(i, i + maxConcurrency);
-        const batchResults = await Promise.all(
-            batch.map(async (lawyer) => {
-                if (!lawyer.profileUrl) return lawyer;
-                const profileData = await fetchLawyerProfile(lawyer.profileUrl, {
-                    proxyUrl,
-                    userAgent,
-                    includeReviews,
-                });
-                if (profileData?.blocked) {
-                    blockedCount += 1;
-                    return lawyer;
-                }
-                if (!profileData) return lawyer;
-                return {
-                    ...lawyer,
-                    bio: profileData.bio || lawyer.bio,
-                    education: profileData.education?.length ? profileData.education : (lawyer.education || []),
-                    awards: profileData.awards?.length ? profileData.awards : (lawyer.awards || []),
-                    reviews: profileData.reviews?.length ? profileData.reviews : (lawyer.reviews || []),
-                    email: profileData.email || lawyer.email,
-                    phone: profileData.phone || lawyer.phone,
-                    location: profileData.location || lawyer.location,
-                    rating: profileData.rating ?? lawyer.rating,
-                    avvoRating: profileData.avvoRating ?? lawyer.avvoRating,
-                    clientRating: profileData.clientRating ?? lawyer.clientRating,
-                    reviewCount: profileData.reviewCount ?? lawyer.reviewCount,
-                    website: profileData.website || lawyer.website,
-                    practiceAreas: profileData.practiceAreas?.length ? profileData.practiceAreas : lawyer.practiceAreas,
-                    image: profileData.image || lawyer.image,
-                    licenseYear: profileData.licenseYear ?? lawyer.licenseYear,
-                    coordinates: profileData.coordinates || lawyer.coordinates,
-                    licenseStates: profileData.licenseStates?.length ? profileData.licenseStates : (lawyer.licenseStates || []),
-                    certifications: profileData.certifications?.length ? profileData.certifications : (lawyer.certifications || []),
-                };
-            })
-        );
-        enriched.push(...batchResults);
-        if (i + maxConcurrency < lawyers.length) {
-            await sleep(100); // Reduced from 200ms for faster enrichment
+        // Sightings from later pages that arrived while this batch was being enriched. No await
+        // until the push below, so later sightings find the lawyer in savedLawyers from here on.
+        processedBatch = processedBatch.map((lawyer) => {
+            const sighting = laterSightings.get(lawyerKeyFor(lawyer));
+            return sighting ? mergeLawyerRecords(lawyer, sighting) : lawyer;
+        });
+        batch.forEach((lawyer) => laterSightings.delete(lawyerKeyFor(lawyer)));
+        processedBatch.forEach((lawyer) => savedLawyers.set(lawyerKeyFor(lawyer), lawyer));
+
+        // Push batch immediately (only changed lawyers in incremental mode)
+        const outputBatch = snapshot ? applySnapshot(processedBatch, { snapshot, stats, keyFor: snapshotKeyFor }) : processedBatch;
+        if (outputBatch.length > 0) {
+            const records = shapeRecord ? outputBatch.map(shapeRecord) : outputBatch;
+            await Actor.pushData(records);
+            webhookOutbox?.enqueue(records, outputBatch.map(lawyerKeyFor));
         }
-    }
+        stats.totalLawyersScraped += processedBatch.length;
+        batch.forEach((lawyer) => pendingLawyers.delete(lawyerKeyFor(lawyer)));
 
-    if (blockedCount > 0) {
-        log.warning(`${blockedCount} profile pages were blocked - using listing data only.`);
+        log.info(`Pushed batch of ${processedBatch.length} lawyers (total: ${stats.totalLawyersScraped})`);
     }
-    return enriched;
 }
 
-async function saveDebugHtml({ html, key, url, extra }) {
-    if (!html) return;
-    await Actor.setValue(key, html, { contentType: 'text/html' });
-    log.info(`Saved debug HTML for ${url} to ${key}`);
-    if (extra) log.debug(extra);
-}
+try {
+    const input = await Actor.getInput() || {};
 
-function buildSearchUrl(input) {
-    // Deprecated - kept for backwards compatibility but no longer used
-    return input.startUrl || 'https://www.avvo.com/bankruptcy-debt-lawyer/al.html';
-}
+    const maxLawyers = input.maxLawyers ?? 50;
+    const maxConcurrency = input.maxConcurrency ?? 20;
+    const maxProfileConcurrency = input.maxProfileConcurrency ?? 5;
+    const mode = input.mode || 'search';
+    const drillDown = {
+        maxDepth: input.drillDownDepth ?? 0,
+        include: input.drillDownInclude,
+        exclude: input.drillDownExclude,
+    };
+    // Sitemap runs spend one request per profile, so the cap follows maxLawyers; statewide
+    // drill-down visits every city page and needs far more than a single search
+    let maxRequestsPerCrawl = 1000;
+    if (mode === 'sitemap') maxRequestsPerCrawl = Math.max(1000, maxLawyers * SITEMAP_FILTER_HEADROOM);
+    else if (drillDown.maxDepth > 0) maxRequestsPerCrawl = 10000;
+    const minDelayMs = input.minDelayMs ?? 500;
+    const maxDelayMs = input.maxDelayMs ?? 2000;
+    const adaptiveThrottling = input.adaptiveThrottling ?? true;
+    const maxBlockedRetries = input.maxBlockedRetries ?? 2;
+    const useBrowserFallback = input.useBrowserFallback ?? false;
+    const maxBrowserPages = input.maxBrowserPages ?? 2;
+    const useApiFirst = true;
+    const useHtmlFallback = true;
+    const includeReviews = input.includeReviews ?? true;
+    const maxReviewsPerLawyer = input.maxReviewsPerLawyer ?? 20;
+    const reviewsDatasetName = input.separateReviewsDataset ? (input.reviewsDatasetName || 'avvo-reviews') : null;
+    const includeAnswers = input.includeAnswers ?? false;
+    const maxAnswersPerLawyer = input.maxAnswersPerLawyer ?? 20;
+    const answersDatasetName = input.answersDatasetName || 'avvo-answers';
+    const firmsDatasetName = input.aggregateFirms ? (input.firmsDatasetName || 'avvo-firms') : null;
+    const includeContactInfo = input.includeContactInfo ?? true;
+    const incrementalMode = input.incrementalMode ?? false;
+    const snapshotStoreName = input.snapshotStoreName || 'avvo-lawyer-snapshots';
+    const snapshotKey = input.snapshotKey || 'SNAPSHOT';
+    const identityStoreName = input.identityStoreName || 'avvo-lawyer-identities';
+    // Sitemap URLs carry no practice area, so in sitemap mode practiceAreas are checked on the extracted profile
+    const filters = buildLawyerFilters(mode === 'sitemap'
+        ? { ...input, requiredPracticeAreas: [...toInputList(input.requiredPracticeAreas), ...toInputList(input.practiceAreas)] }
+        : input);
+    const outputProfile = input.outputProfile || 'full';
+    const shapeRecord = buildOutputShaper({ outputProfile, fields: input.fields });
+    const includeProvenance = input.includeProvenance ?? false;
+    const monitorExtractionHealth = input.monitorExtractionHealth ?? true;
+    const healthBaselineKey = input.healthBaselineKey || 'FILL_RATES';
+    const fillRateDropPercent = input.fillRateDropPercent ?? 50;
+    const profileCacheDays = input.profileCacheDays ?? 0;
+    const profileCacheStoreName = input.profileCacheStoreName || 'avvo-profile-cache';
+    const webhook = input.webhookUrl?.trim() ? {
+        url: input.webhookUrl.trim(),
+        secret: input.webhookSecret || null,
+        format: input.webhookFormat || 'raw',
+        mode: input.webhookMode || 'batch',
+        headers: input.webhookHeaders || {},
+        batchSize: input.webhookBatchSize ?? 100,
+        scope: Actor.getEnv().actorRunId || 'local',
+    } : null;
+    const flatExport = {
+        formats: toInputList(input.exportFormats).map((format) => format.toLowerCase()),
+        key: input.exportKey || 'EXPORT',
+        explode: input.exportExplode || 'none',
+        delimiter: input.exportDelimiter ?? '; ',
+    };
 
-function buildStartUrls(input) {
-    if (Array.isArray(input.startUrls) && input.startUrls.length > 0) {
-        return input.startUrls.map((item) => item.url || item).filter(Boolean);
-    }
-    if (input.startUrl && input.startUrl.trim()) {
-        return [input.startUrl.trim()];
+    if (!CRAWL_MODES.includes(mode)) {
+        throw new Error(`mode must be one of: ${CRAWL_MODES.join(', ')}`);
     }
-    // Default fallback
-    return ['https://www.avvo.com/bankruptcy-debt-lawyer/al.html'];
-}
 
-async function enqueueSitemapUrls({ requestQueue, proxyUrl, limit }) {
-    const sitemapCandidates = [
-        'https://www.avvo.com/sitemap.xml',
-        'https://www.avvo.com/sitemaps/sitemap.xml',
-    ];
-
-    const urls = new Set();
-    for (const sitemapUrl of sitemapCandidates) {
-        try {
-            const response = await gotScraping({
-                url: sitemapUrl,
-                headers: DEFAULT_HEADERS,
-                proxyUrl,
-                timeout: { request: 20000 },
-                retry: { limit: 0 },
-                throwHttpErrors: false,
-            });
+    // Validate that either a startUrl or search-builder input is provided
+    const hasStartUrls = Boolean(input.startUrl?.trim()) || (Array.isArray(input.startUrls) && input.startUrls.length > 0);
+    if (mode === 'search' && !hasStartUrls && !hasSearchInput(input)) {
+        throw new Error('Invalid input: provide "startUrl" or "practiceAreas" and "states".');
+    }
 
-            if (response.statusCode !== 200) continue;
-            const bodyText = typeof response.body === 'string' ? response.body : response.body.toString('utf-8');
+    if (maxLawyers < 0 || maxLawyers > 10000) {
+        throw new Error('maxLawyers must be between 0 and 10000');
+    }
 
-            const locMatches = bodyText.match(/<loc>([^<]+)<\/loc>/g) || [];
-            locMatches.forEach((loc) => {
-                const url = loc.replace('<loc>', '').replace('</loc>', '');
-                if (url.includes('/attorneys/') || url.includes('/attorney/')) {
-                    urls.add(url);
-                }
-            });
-        } catch (error) {
-            log.debug(`Failed to fetch sitemap ${sitemapUrl}: ${error.message}`);
-        }
+    if (maxReviewsPerLawyer < 0) {
+        throw new Error('maxReviewsPerLawyer must be 0 or greater');
     }
 
-    const limited = limit > 0 ? [...urls].slice(0, limit) : [...urls];
-    for (const url of limited) {
-        await requestQueue.addRequest({
-            url,
-            userData: { label: LABELS.PROFILE },
-        });
+    if (maxAnswersPerLawyer < 0) {
+        throw new Error('maxAnswersPerLawyer must be 0 or greater');
     }
 
-    if (limited.length > 0) {
-        log.info(`Enqueued ${limited.length} profile URLs from sitemaps`);
+    if (maxConcurrency < 1 || maxProfileConcurrency < 1) {
+        throw new Error('maxConcurrency and maxProfileConcurrency must be at least 1');
     }
-}
 
-async function handleLawyers(lawyers, options) {
-    const {
-        maxLawyers,
-        seenProfileUrls,
-        includeContactInfo,
-        includeReviews,
-        proxyUrl,
-        userAgent,
-        maxProfileConcurrency,
-        stats,
-    } = options;
+    if (minDelayMs < 0 || maxDelayMs < minDelayMs) {
+        throw new Error('Delays must satisfy 0 <= minDelayMs <= maxDelayMs');
+    }
 
-    let filtered = lawyers.filter((lawyer) => {
-        if (!lawyer.profileUrl) return true;
-        if (seenProfileUrls.has(lawyer.profileUrl)) return false;
-        seenProfileUrls.add(lawyer.profileUrl);
-        return true;
-    });
+    if (drillDown.maxDepth < 0 || drillDown.maxDepth > 3) {
+        throw new Error('drillDownDepth must be between 0 and 3');
+    }
 
-    if (maxLawyers > 0) {
-        filtered = filtered.slice(0, Math.max(0, maxLawyers - stats.totalLawyersScraped));
+    if (maxBrowserPages < 1) {
+        throw new Error('maxBrowserPages must be at least 1');
     }
 
-    if (filtered.length === 0) return;
+    if (maxBlockedRetries < 0) {
+        throw new Error('maxBlockedRetries must be 0 or greater');
+    }
 
-    // Process and push data in batches of 10 for incremental saving
-    const BATCH_SIZE = 10;
-    for (let i = 0; i < filtered.length; i += BATCH_SIZE) {
-        const batch = filtered.slice(i, i + BATCH_SIZE);
+    if (profileCacheDays < 0) {
+        throw new Error('profileCacheDays must be 0 or greater');
+    }
 
-        let processedBatch = batch;
-        if (includeContactInfo || includeReviews) {
-            processedBatch = await enrichLawyersWithProfiles(batch, {
-                maxConcurrency: maxProfileConcurrency,
-                proxyUrl,
-                userAgent,
-                includeReviews,
-            });
-            stats.profileEnrichments += processedBatch.length;
-        }
+    if (fillRateDropPercent <= 0 || fillRateDropPercent > 100) {
+        throw new Error('fillRateDropPercent must be between 1 and 100');
+    }
 
-        // Push batch immediately
-        await Actor.pushData(processedBatch);
-        stats.totalLawyersScraped += processedBatch.length;
+    if (webhook && !CRM_FORMATS.includes(webhook.format)) {
+        throw new Error(`webhookFormat must be one of: ${CRM_FORMATS.join(', ')}`);
+    }
 
-        log.info(`Pushed batch of ${processedBatch.length} lawyers (total: ${stats.totalLawyersScraped})`);
+    if (webhook && !WEBHOOK_MODES.includes(webhook.mode)) {
+        throw new Error(`webhookMode must be one of: ${WEBHOOK_MODES.join(', ')}`);
     }
-}
 
-try {
-    const input = await Actor.getInput() || {};
+    if (webhook && (webhook.batchSize < 1 || webhook.batchSize > 1000)) {
+        throw new Error('webhookBatchSize must be between 1 and 1000');
+    }
 
-    const maxLawyers = input.maxLawyers ?? 50;
-    const maxConcurrency = 20; // Increased from 10 for better speed
-    const maxProfileConcurrency = 5;
-    const maxRequestsPerCrawl = 1000;
-    const minDelayMs = 500; // Increased for better stealth
-    const maxDelayMs = 2000; // Increased for more human-like behavior
-    const useApiFirst = true;
-    const useHtmlFallback = true;
-    const includeReviews = true; // Always include reviews
-    const includeContactInfo = input.includeContactInfo ?? true;
+    const unknownExportFormat = flatExport.formats.find((format) => !EXPORT_FORMATS.includes(format));
+    if (unknownExportFormat) {
+        throw new Error(`Unknown export format "${unknownExportFormat}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
 
-    // Validate startUrl is provided
-    if (!input.startUrl?.trim() && (!Array.isArray(input.startUrls) || input.startUrls.length === 0)) {
-        throw new Error('Invalid input: "startUrl" is required.');
+    if (!EXPLODE_MODES.includes(flatExport.explode)) {
+        throw new Error(`exportExplode must be one of: ${EXPLODE_MODES.join(', ')}`);
     }
 
-    if (maxLawyers < 0 || maxLawyers > 10000) {
-        throw new Error('maxLawyers must be between 0 and 10000');
+    if (filters?.minAvvoRating != null && filters?.maxAvvoRating != null && filters.minAvvoRating > filters.maxAvvoRating) {
+        throw new Error('minAvvoRating cannot be greater than maxAvvoRating');
     }
 
     log.info('Starting Avvo Lawyers Scraper', {
+        mode,
         startUrl: input.startUrl,
         startUrls: input.startUrls?.length || 0,
+        practiceAreas: toInputList(input.practiceAreas),
+        states: toInputList(input.states),
+        cities: toInputList(input.cities),
         maxLawyers,
         includeContactInfo,
+        includeReviews,
+        maxReviewsPerLawyer,
+        includeAnswers,
+        maxAnswersPerLawyer,
+        incrementalMode,
+        maxConcurrency,
+        maxProfileConcurrency,
+        delayMs: [minDelayMs, maxDelayMs],
+        adaptiveThrottling,
+        useBrowserFallback,
+        drillDownDepth: drillDown.maxDepth,
+        profileCacheDays,
+        filters,
+        outputProfile,
+        webhook: webhook ? { format: webhook.format, mode: webhook.mode, signed: Boolean(webhook.secret) } : null,
     });
 
-    const startUrls = buildStartUrls(input);
+    const startUrls = mode === 'sitemap' ? [] : buildStartUrls(input);
     const proxyConfiguration = await Actor.createProxyConfiguration(
         input.proxyConfiguration || { useApifyProxy: true }
     );
@@ -1306,38 +873,170 @@ try {
     const stats = {
         totalLawyersScraped: 0,
         pagesProcessed: 0,
+        subdirectoriesQueued: 0,
+        pagination: {},
         apiExtractions: 0,
         embeddedJsonExtractions: 0,
         jsonLdExtractions: 0,
         htmlExtractions: 0,
         profileEnrichments: 0,
+        profileCacheHits: 0,
+        profileCacheMisses: 0,
         blockedRequests: 0,
+        browserRequests: 0,
+        browserRecovered: 0,
+        throttle: null,
+        reviewsScraped: 0,
+        answersScraped: 0,
+        firmsAggregated: 0,
+        filteredLawyers: 0,
+        duplicatesMerged: 0,
+        duplicatesSkipped: 0,
+        mergedUpdatesPushed: 0,
+        filterRejections: Object.fromEntries(Object.keys(filters || {}).map((name) => [name, 0])),
+        extractionHealth: null,
+        webhookBatchesSent: 0,
+        webhookFailures: 0,
+        newLawyers: 0,
+        modifiedLawyers: 0,
+        removedLawyers: 0,
+        unchangedLawyers: 0,
         timestamp: new Date().toISOString(),
     };
 
-    const seenProfileUrls = new Set();
-    const discoveredApiUrls = new Set();
+    // Restore state persisted before a migration or restart so counters and dedupe carry over
+    const restoredState = await loadCrawlState();
+    if (restoredState?.stats) Object.assign(stats, restoredState.stats);
+
+    // Identities persist across runs; a lawyer counts as a duplicate once sighted again in this run
+    const runId = restoredState?.runId || Actor.getEnv().actorRunId || `local-${Date.now()}`;
+    const identities = await openChunkedMap(await Actor.openKeyValueStore(identityStoreName), IDENTITIES_KEY);
+    log.info(`Loaded ${identities.size} known lawyer identities from "${identityStoreName}"`);
+    // States persisted before the identity store carry this run's identities inline, older ones only the seen profile URLs
+    const restoredIdentities = restoredState?.identities
+        || (restoredState?.seenProfileUrls || []).map((profileUrl) => [profileUrl, identityOf({ profileUrl })]);
+    const identityIndex = createIdentityIndex(
+        restoredIdentities.map(([key, identity]) => [key, { ...identity, runId }]),
+        { profiles: identities, runId }
+    );
+    const snapshotKeyFor = (lawyer) => identityIndex.keyOf(lawyer) || lawyerKeyFor(lawyer);
+    // Records pushed in this run, so later sightings can be merged into them
+    const savedLawyers = await openChunkedMap(await Actor.openKeyValueStore(), SAVED_LAWYERS_KEY, { replace: !restoredState });
+    const laterSightings = new Map(restoredState?.laterSightings || []);
+    const discoveredApiUrls = new Set(restoredState?.discoveredApiUrls || []);
+    const resultSignatures = new Map((restoredState?.resultSignatures || [])
+        .map(([startUrl, signatures]) => [startUrl, new Map(signatures)]));
+    const pendingLawyers = new Map((restoredState?.pendingLawyers || []).map((lawyer) => [lawyerKeyFor(lawyer), lawyer]));
     const requestQueue = await RequestQueue.open();
+    const snapshot = incrementalMode
+        ? await openSnapshot({ storeName: snapshotStoreName, key: snapshotKey, resumed: Boolean(restoredState) })
+        : null;
+    // States persisted before chunked snapshots carry the run's snapshot records inline
+    Object.entries(restoredState?.snapshotCurrent || {}).forEach(([profileKey, lawyer]) => snapshot?.current.set(profileKey, lawyer));
+
+    const firms = firmsDatasetName ? (restoredState?.firms || {}) : null;
+
+    // Batches queued but not yet delivered when the previous run stopped
+    const restoredOutbox = restoredState ? await Actor.getValue(WEBHOOK_OUTBOX_KEY) : null;
+    const webhookOutbox = webhook?.mode === 'batch' ? createWebhookOutbox(webhook, { stats, restored: restoredOutbox || [] }) : null;
+
+    const healthMonitor = monitorExtractionHealth
+        ? await openHealthMonitor({ key: healthBaselineKey, restored: restoredState?.health })
+        : null;
+    const crawlState = {
+        runId,
+        stats,
+        identities,
+        savedLawyers,
+        laterSightings,
+        discoveredApiUrls,
+        resultSignatures,
+        pendingLawyers,
+        snapshot,
+        firms,
+        healthMonitor,
+        webhookOutbox,
+    };
+    Actor.on('persistState', () => persistCrawlState(crawlState));
+    Actor.on('migrating', () => persistCrawlState(crawlState));
+    Actor.on('aborting', () => persistCrawlState(crawlState));
+    const profileCache = profileCacheDays > 0
+        ? createProfileCache(await Actor.openKeyValueStore(profileCacheStoreName), { ttlDays: profileCacheDays, stats })
+        : null;
+    const throttle = createThrottle({ adaptive: adaptiveThrottling });
+    // Blocked profile pages are retried on a new proxy session with a new user agent
+    const newSession = async () => ({
+        proxyUrl: await proxyConfiguration?.newUrl(`retry_${randomBetween(0, 1e9)}`),
+        userAgent: USER_AGENTS[randomBetween(0, USER_AGENTS.length - 1)],
+    });
+    const browserRenderer = useBrowserFallback ? createBrowserRenderer({ maxPages: maxBrowserPages }) : null;
+    const reviewsDataset = reviewsDatasetName ? await Actor.openDataset(reviewsDatasetName) : null;
+    const answersDataset = includeAnswers ? await Actor.openDataset(answersDatasetName) : null;
+
+    // Shared by every handleLawyers call; per-request proxy and user agent are added at the call site
+    const lawyerOptions = {
+        maxLawyers,
+        identityIndex,
+        savedLawyers,
+        laterSightings,
+        snapshotKeyFor,
+        includeContactInfo,
+        includeReviews,
+        maxProfileConcurrency,
+        maxReviewsPerLawyer,
+        reviewsDataset,
+        includeAnswers,
+        maxAnswersPerLawyer,
+        answersDataset,
+        pendingLawyers,
+        filters,
+        shapeRecord,
+        includeProvenance,
+        healthMonitor,
+        profileCache,
+        throttle,
+        maxBlockedRetries,
+        newSession,
+        webhookOutbox,
+        firms,
+        stats,
+        snapshot,
+    };
 
     for (const url of startUrls) {
         await requestQueue.addRequest({
             url,
-            userData: { label: LABELS.LISTING },
+            userData: { label: isProfileUrl(url) ? LABELS.PROFILE : LABELS.LISTING },
         });
     }
 
+    if (mode === 'sitemap') {
+        const enqueued = await enqueueSitemapProfiles(input, {
+            requestQueue,
+            proxyConfiguration,
+            maxLawyers,
+            maxRequestsPerCrawl,
+            filters,
+        });
+        if (enqueued === 0) log.warning('No profile URLs matched in the sitemaps. Check sitemapUrls, states and sitemapUrlPatterns.');
+    }
+
     const crawler = new CheerioCrawler({
         requestQueue,
         proxyConfiguration,
         maxConcurrency,
         maxRequestsPerCrawl,
-        requestHandlerTimeoutSecs: 120,
+        // Leave room for a page that waits for a browser slot and then for the challenge to clear
+        requestHandlerTimeoutSecs: (browserRenderer ? 240 : 120) + HANDLER_WAIT_BUDGET_MS / 1000,
         useSessionPool: true,
         sessionPoolOptions: {
             sessionOptions: {
                 maxErrorScore: 3,
             },
+            // With browser fallback, 403 challenge pages reach the handler instead of failing the request
+            ...(browserRenderer ? { blockedStatusCodes: [401, 429] } : {}),
         },
+        ignoreHttpErrorStatusCodes: browserRenderer ? [503] : [],
         preNavigationHooks: [
             ({ session, request }, gotOptions) => {
                 // Set User-Agent once per session (more realistic)
@@ -1355,15 +1054,24 @@ try {
                 session.userData.lastUrl = request.url;
             },
         ],
+        postNavigationHooks: [
+            ({ response }) => {
+                if (isBlockedStatus(response?.statusCode)) throttle.record(true);
+            },
+        ],
         async requestHandler(context) {
-            const { request, body, $: cheerioRoot, session, proxyInfo } = context;
+            const { request, body, $: crawlerRoot, session, proxyInfo, response } = context;
             const baseUrl = request.loadedUrl || request.url;
+            const waitBudget = createWaitBudget(HANDLER_WAIT_BUDGET_MS);
             stats.pagesProcessed += 1;
 
-            const rawHtml = typeof body === 'string' ? body : body?.toString('utf-8') || '';
-            if (rawHtml && isBlockedHtml(rawHtml)) {
+            let rawHtml = typeof body === 'string' ? body : body?.toString('utf-8') || '';
+            let cheerioRoot = crawlerRoot;
+            const blockedStatus = isBlockedStatus(response?.statusCode);
+            if (blockedStatus || (rawHtml && isBlockedHtml(rawHtml))) {
                 stats.blockedRequests += 1;
-                session.markBad();
+                // Blocked status codes were already recorded by the post-navigation hook
+                if (!blockedStatus) throttle.record(true);
                 if (input.debugHtml) {
                     await saveDebugHtml({
                         html: rawHtml,
@@ -1371,30 +1079,40 @@ try {
                         url: request.url,
                     });
                 }
-                throw new Error('Blocked by anti-bot protection');
+
+                const renderedHtml = await renderInBrowser(request, {
+                    browserRenderer,
+                    stats,
+                    proxyUrl: proxyInfo?.url,
+                    userAgent: session.userData.userAgent,
+                });
+                if (!renderedHtml) {
+                    session.markBad();
+                    throw new Error('Blocked by anti-bot protection');
+                }
+                rawHtml = renderedHtml;
+                cheerioRoot = cheerio.load(renderedHtml);
             }
 
             if (request.userData.label === LABELS.API) {
                 try {
                     const json = await fetchJsonWithRetries(request.url, {
                         proxyUrl: proxyInfo?.url,
+                        throttle,
                         headers: {
                             ...DEFAULT_HEADERS,
                             'User-Agent': session.userData.userAgent,
                         },
                     });
-                    const lawyers = extractLawyersFromApiJson(json, baseUrl);
+                    const lawyers = extractLawyersFromApiJson(json, baseUrl).map((lawyer) => withExtractionSource(lawyer, 'api'));
                     if (lawyers.length > 0) {
                         stats.apiExtractions += lawyers.length;
+                        await trackExtractionHealth(lawyers, { healthMonitor, scope: 'listing' });
                         await handleLawyers(lawyers, {
-                            maxLawyers,
-                            seenProfileUrls,
-                            includeContactInfo: includeContactInfo,
-                            includeReviews: includeReviews,
+                            ...lawyerOptions,
                             proxyUrl: proxyInfo?.url,
                             userAgent: session.userData.userAgent,
-                            maxProfileConcurrency,
-                            stats,
+                            waitBudget,
                         });
                     }
                     const nextPageUrl = extractNextPageUrlFromApi(json, baseUrl);
@@ -1408,30 +1126,47 @@ try {
                     log.debug(`API request failed (${request.url}): ${error.message}`);
                 }
             } else if (request.userData.label === LABELS.PROFILE) {
-                const lawyer = {
-                    name: '',
-                    profileUrl: request.url,
-                    scrapedAt: new Date().toISOString(),
-                };
-                let profile = lawyer;
-                if (includeContactInfo || includeReviews) {
-                    const enriched = await fetchLawyerProfile(request.url, {
-                        proxyUrl: proxyInfo?.url,
-                        userAgent: session.userData.userAgent,
-                        includeReviews: includeReviews,
-                    });
-                    if (enriched && !enriched.blocked) {
-                        profile = {
-                            ...lawyer,
-                            bio: enriched.bio,
-                            education: enriched.education,
-                            awards: enriched.awards,
-                            reviews: enriched.reviews,
-                        };
+                // Sitemap runs queue more profiles than needed when filters are set
+                if (maxLawyers > 0 && stats.totalLawyersScraped >= maxLawyers) return;
+
+                // Start from the listing record shape so profile-only runs emit the same schema
+                let profile = normalizeLawyer({ profileUrl: request.url }, baseUrl);
+                const parsed = parseLawyerProfile(rawHtml, request.url, { includeReviews, maxReviewsPerLawyer });
+                if (parsed) {
+                    await trackExtractionHealth([parsed], { healthMonitor, scope: 'profile', html: rawHtml, url: request.url });
+                    if (includeReviews) {
+                        // A failed reviews page keeps the reviews from the profile page instead of failing the request
+                        try {
+                            parsed.reviews = await collectLawyerReviews(request.url, parsed, {
+                                proxyUrl: proxyInfo?.url,
+                                userAgent: session.userData.userAgent,
+                                maxReviewsPerLawyer,
+                                throttle,
+                            });
+                        } catch (error) {
+                            log.debug(`Failed to collect reviews for ${request.url}: ${error.message}`);
+                        }
                     }
+                    if (includeAnswers) {
+                        parsed[ANSWERS_FIELD] = await collectLawyerAnswers(request.url, parsed, {
+                            proxyUrl: proxyInfo?.url,
+                            userAgent: session.userData.userAgent,
+                            maxAnswersPerLawyer,
+                            throttle,
+                        });
+                    }
+                    profile = mergeProfileData(profile, parsed);
+                    stats.profileEnrichments += 1;
                 }
-                await Actor.pushData(profile);
-                stats.totalLawyersScraped += 1;
+                await handleLawyers([profile], {
+                    ...lawyerOptions,
+                    // Already parsed from the crawler response - no second fetch needed
+                    includeContactInfo: false,
+                    includeReviews: false,
+                    includeAnswers: false,
+                    proxyUrl: proxyInfo?.url,
+                    userAgent: session.userData.userAgent,
+                });
             } else {
                 const lawyers = [];
 
@@ -1448,35 +1183,31 @@ try {
                     }
                 }
 
-                const embeddedJson = extractEmbeddedJson(rawHtml);
-                if (embeddedJson.length > 0) {
-                    const embeddedLawyers = [];
-                    embeddedJson.forEach((payload) => {
-                        embeddedLawyers.push(...extractLawyersFromApiJson(payload, baseUrl));
+                const extraction = extractListingLawyers(rawHtml, baseUrl, { $: cheerioRoot, useHtmlFallback });
+                if (extraction.lawyers.length > 0) {
+                    lawyers.push(...extraction.lawyers);
+                    stats[EXTRACTION_STATS_KEYS[extraction.source]] += extraction.lawyers.length;
+                    await trackExtractionHealth(extraction.lawyers, {
+                        healthMonitor,
+                        scope: 'listing',
+                        html: rawHtml,
+                        url: request.url,
                     });
-                    if (embeddedLawyers.length > 0) {
-                        lawyers.push(...embeddedLawyers);
-                        stats.embeddedJsonExtractions += embeddedLawyers.length;
-                    }
-                }
-
-                if (lawyers.length === 0) {
-                    const jsonLdLawyers = extractLawyersFromJsonLd(rawHtml, baseUrl);
-                    if (jsonLdLawyers.length > 0) {
-                        lawyers.push(...jsonLdLawyers);
-                        stats.jsonLdExtractions += jsonLdLawyers.length;
-                    }
                 }
 
-                if (lawyers.length === 0 && useHtmlFallback) {
-                    if (cheerioRoot) {
-                        const htmlLawyers = extractLawyerDataViaHtml(cheerioRoot, baseUrl);
-                        if (htmlLawyers.length > 0) {
-                            lawyers.push(...htmlLawyers);
-                            stats.htmlExtractions += htmlLawyers.length;
-                        }
-                    }
-                }
+                // Recorded before the maxLawyers check so the last page still shows up in statistics
+                const startUrl = request.userData.startUrl || request.url;
+                const nextPageUrl = cheerioRoot
+                    ? findNextListingPage(cheerioRoot, {
+                        html: rawHtml,
+                        pageUrl: request.url,
+                        baseUrl,
+                        startUrl,
+                        lawyers: extraction.lawyers,
+                        resultSignatures,
+                        stats,
+                    })
+                    : null;
 
                 if (lawyers.length === 0 && input.debugHtml) {
                     await saveDebugHtml({
@@ -1488,35 +1219,36 @@ try {
 
                 if (lawyers.length > 0) {
                     await handleLawyers(lawyers, {
-                        maxLawyers,
-                        seenProfileUrls,
-                        includeContactInfo: includeContactInfo,
-                        includeReviews: includeReviews,
+                        ...lawyerOptions,
                         proxyUrl: proxyInfo?.url,
                         userAgent: session.userData.userAgent,
-                        maxProfileConcurrency,
-                        stats,
+                        waitBudget,
                     });
                 }
 
                 if (maxLawyers > 0 && stats.totalLawyersScraped >= maxLawyers) {
                     log.info(`Reached maxLawyers limit (${maxLawyers}). Stopping processing.`);
+                    if (stats.pagination[startUrl]) stats.pagination[startUrl].stoppedBy = 'maxLawyers';
                     return;
                 }
 
                 if (cheerioRoot) {
-                    const nextPageUrl = extractNextPageUrlFromHtml(cheerioRoot, baseUrl);
+                    const depth = request.userData.drillDepth || 0;
                     if (nextPageUrl) {
                         await requestQueue.addRequest({
                             url: nextPageUrl,
-                            userData: { label: LABELS.LISTING },
+                            userData: { label: LABELS.LISTING, drillDepth: depth, startUrl },
                         });
                     }
+                    if (depth < drillDown.maxDepth) {
+                        await enqueueSubdirectories(cheerioRoot, { baseUrl, depth, drillDown, requestQueue, stats });
+                    }
                 }
             }
 
+            throttle.record(false);
             if (maxDelayMs > 0) {
-                await sleep(randomBetween(minDelayMs, maxDelayMs));
+                await sleep(waitBudget.take(throttle.delayFor(randomBetween(minDelayMs, maxDelayMs))));
             }
         },
         failedRequestHandler: async ({ request }, error) => {
@@ -1524,7 +1256,59 @@ try {
         },
     });
 
+    // Crawler concurrency shrinks with the throttle multiplier and grows back as it recovers
+    throttle.onChange(() => {
+        if (crawler.autoscaledPool) crawler.autoscaledPool.maxConcurrency = throttle.concurrencyFor(maxConcurrency);
+    });
+
+    // Lawyers that were accepted but not yet pushed when the previous run stopped
+    if (pendingLawyers.size > 0) {
+        log.info(`Processing ${pendingLawyers.size} lawyers pending from the previous run`);
+        await processLawyers([...pendingLawyers.values()], {
+            ...lawyerOptions,
+            proxyUrl: await proxyConfiguration?.newUrl(),
+            userAgent: USER_AGENTS[randomBetween(0, USER_AGENTS.length - 1)],
+        });
+    }
+
     await crawler.run();
+    await browserRenderer?.close();
+
+    if (snapshot) {
+        const reachedLimit = maxLawyers > 0 && stats.totalLawyersScraped >= maxLawyers;
+        const hadFailures = crawler.stats.state.requestsFailed > 0;
+        await finalizeSnapshot(snapshot, { complete: !reachedLimit && !hadFailures, shapeRecord, webhookOutbox, stats });
+    }
+
+    if (webhookOutbox) {
+        await webhookOutbox.flush();
+        log.info(`Webhook delivery finished (sent: ${stats.webhookBatchesSent}, failed: ${stats.webhookFailures})`);
+    }
+
+    if (firms) {
+        const firmRecords = buildFirmRecords(firms);
+        if (firmRecords.length > 0) {
+            const firmsDataset = await Actor.openDataset(firmsDatasetName);
+            await firmsDataset.pushData(firmRecords);
+        }
+        stats.firmsAggregated = firmRecords.length;
+        log.info(`Saved ${firmRecords.length} firms to dataset "${firmsDatasetName}"`);
+    }
+
+    if (healthMonitor) {
+        await finalizeHealthMonitor(healthMonitor, { dropThreshold: fillRateDropPercent / 100, stats });
+    }
+
+    if (webhook?.mode === 'final') {
+        await deliverDatasetToWebhook(webhook, { stats });
+    }
+
+    if (flatExport.formats.length > 0) {
+        await writeFlatExports(flatExport);
+    }
+
+    stats.throttle = throttle.snapshot();
+    await persistCrawlState(crawlState);
 
     await Actor.setValue('statistics', {
         ...stats,
@@ -1534,7 +1318,9 @@ try {
     if (stats.totalLawyersScraped > 0) {
         log.info(`Scraping completed: ${stats.totalLawyersScraped} lawyers saved`);
     } else {
-        log.warning('No lawyers were scraped. Check input parameters or enable browser fallback.');
+        log.warning(useBrowserFallback
+            ? 'No lawyers were scraped. Check input parameters and the blocked page samples (debugHtml).'
+            : 'No lawyers were scraped. Check input parameters or enable useBrowserFallback.');
     }
 } catch (error) {
     log.exception(error, 'Actor failed with error');
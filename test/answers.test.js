@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import {
+    buildAnswersUrl,
+    collectLawyerAnswers,
+    extractAnswersFromPage,
+    extractAnswerStatsFromHtml,
+    normalizeAnswerStats,
+} from '../src/lib/index.js';
+
+const answersUrl = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101/answers.html';
+
+const answerCard = (id, title, extra = '') => `
+    <article class="answer${extra}">
+        <h3><a href="/legal-answers/${id}.html">${title}</a></h3>
+        <span class="question-topic">Bankruptcy</span>
+        <time datetime="2025-11-02">Nov 2, 2025</time>
+        <div class="answer-body">File a proof of claim before the bar date.</div>
+        <span class="helpful-count">3 lawyers agree</span>
+    </article>`;
+
+function answersPage(cards, next = '') {
+    return `<html><body>${cards.join('')}${next ? `<a rel="next" href="${next}">Next</a>` : ''}</body></html>`;
+}
+
+describe('answer stats', () => {
+    it('reads counts that follow or precede their labels', () => {
+        const $ = cheerio.load(`<body><nav>Legal Answers 42 topics</nav><div class="contributions">
+            <span>1,204 legal answers</span><span>87 best answers</span><span>Helpful votes: 2,310</span>
+        </div></body>`);
+        assert.deepEqual(extractAnswerStatsFromHtml($), { answersCount: 1204, bestAnswersCount: 87, helpfulVotes: 2310 });
+    });
+
+    it('keeps unknown counts null rather than zero', () => {
+        assert.deepEqual(extractAnswerStatsFromHtml(cheerio.load('<body><a>Legal Answers 5 of 10</a></body>')), {
+            answersCount: null,
+            bestAnswersCount: null,
+            helpfulVotes: null,
+        });
+        assert.deepEqual(normalizeAnswerStats({ answerCount: '0', helpfulVotes: 12 }), {
+            answersCount: 0,
+            bestAnswersCount: null,
+            helpfulVotes: 12,
+        });
+    });
+});
+
+describe('answers pages', () => {
+    it('builds the answers URL next to the profile', () => {
+        assert.equal(buildAnswersUrl('https://www.avvo.com/attorneys/35203-al-jane-roe-101.html?ref=search'), answersUrl);
+        assert.equal(buildAnswersUrl('https://www.avvo.com/attorneys/35203-al-jane-roe-101'), '');
+    });
+
+    it('extracts answers from JSON-LD questions and answer cards without duplicates', () => {
+        const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+            '@type': 'Question',
+            name: 'Can my wages be garnished?',
+            url: '/legal-answers/wages-1.html',
+            about: { name: 'Debt Collection' },
+            acceptedAnswer: { '@type': 'Answer', text: 'Only after a judgment.', dateCreated: '2025-10-01', upvoteCount: 5 },
+        })}</script></head><body>
+            ${answerCard('wages-1', 'Can my wages be garnished?')}
+            ${answerCard('claims-2', 'When is the claims deadline?', ' best-answer')}
+        </body></html>`;
+
+        assert.deepEqual(extractAnswersFromPage(cheerio.load(html), html, answersUrl), [
+            {
+                questionTitle: 'Can my wages be garnished?',
+                questionUrl: 'https://www.avvo.com/legal-answers/wages-1.html',
+                topic: 'Debt Collection',
+                date: '2025-10-01',
+                answerText: 'Only after a judgment.',
+                helpfulCount: 5,
+                bestAnswer: true,
+            },
+            {
+                questionTitle: 'When is the claims deadline?',
+                questionUrl: 'https://www.avvo.com/legal-answers/claims-2.html',
+                topic: 'Bankruptcy',
+                date: '2025-11-02',
+                answerText: 'File a proof of claim before the bar date.',
+                helpfulCount: 3,
+                bestAnswer: true,
+            },
+        ]);
+    });
+
+    it('follows answer pagination up to the per-lawyer limit', async () => {
+        const requested = [];
+        const server = createServer((req, res) => {
+            requested.push(req.url);
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(req.url.includes('page=2')
+                ? answersPage([answerCard('c-3', 'Third'), answerCard('d-4', 'Fourth')])
+                : answersPage([answerCard('a-1', 'First'), answerCard('b-2', 'Second')], '?page=2'));
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            const answers = await collectLawyerAnswers(profileUrl, { answersCount: 40 }, { userAgent: 'test', maxAnswersPerLawyer: 3 });
+            assert.deepEqual(answers.map((answer) => answer.questionTitle), ['First', 'Second', 'Third']);
+            assert.deepEqual(requested, ['/attorneys/35203-al-jane-roe-101/answers.html', '/attorneys/35203-al-jane-roe-101/answers.html?page=2']);
+
+            assert.deepEqual(await collectLawyerAnswers(profileUrl, { answersCount: 0 }, { userAgent: 'test', maxAnswersPerLawyer: 3 }), []);
+            assert.equal(requested.length, 2);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('keeps the answers collected before a page fails', async () => {
+        const server = createServer((req, res) => {
+            if (req.url.includes('page=2')) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(answersPage([answerCard('a-1', 'First')], '?page=2'));
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            const answers = await collectLawyerAnswers(profileUrl, { answersCount: null }, { userAgent: 'test', maxAnswersPerLawyer: 0 });
+            assert.deepEqual(answers.map((answer) => answer.questionTitle), ['First']);
+        } finally {
+            server.close();
+        }
+    });
+});
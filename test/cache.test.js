@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createProfileCache, profileCacheKeyFor } from '../src/lib/index.js';
+
+const profileUrl = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function memoryStore() {
+    const values = new Map();
+    return {
+        values,
+        getValue: async (key) => values.get(key) ?? null,
+        setValue: async (key, value) => values.set(key, value),
+    };
+}
+
+describe('profile cache', () => {
+    it('builds store-safe keys from the profile ID or a URL hash', () => {
+        assert.equal(profileCacheKeyFor(profileUrl), 'profile-101');
+        assert.match(profileCacheKeyFor('https://www.avvo.com/attorneys/jane-roe.html'), /^profile-url-[0-9a-f]{40}$/);
+    });
+
+    it('serves fresh entries and counts stale ones as misses', async () => {
+        let now = Date.parse('2026-01-01T00:00:00Z');
+        const stats = { profileCacheHits: 0, profileCacheMisses: 0 };
+        const cache = createProfileCache(memoryStore(), { ttlDays: 7, stats, now: () => now });
+
+        assert.equal(await cache.get(profileUrl), null);
+        await cache.set(profileUrl, { email: 'jane@roelaw.com' });
+
+        now += 6 * DAY_MS;
+        assert.deepEqual(await cache.get(profileUrl), { email: 'jane@roelaw.com' });
+        now += 2 * DAY_MS;
+        assert.equal(await cache.get(profileUrl), null);
+        assert.deepEqual(stats, { profileCacheHits: 1, profileCacheMisses: 2 });
+    });
+
+    it('misses when the run needs more reviews than were cached', async () => {
+        const cache = createProfileCache(memoryStore(), { ttlDays: 7 });
+        await cache.set(profileUrl, { reviews: [] }, { includeReviews: true, maxReviewsPerLawyer: 10 });
+
+        assert.ok(await cache.get(profileUrl));
+        assert.ok(await cache.get(profileUrl, { includeReviews: true, maxReviewsPerLawyer: 10 }));
+        assert.equal(await cache.get(profileUrl, { includeReviews: true, maxReviewsPerLawyer: 20 }), null);
+    });
+
+    it('misses when the run needs answers the entry was cached without', async () => {
+        const cache = createProfileCache(memoryStore(), { ttlDays: 7 });
+        await cache.set(profileUrl, { answers: [] }, { includeAnswers: true, maxAnswersPerLawyer: 0 });
+
+        assert.ok(await cache.get(profileUrl, { includeAnswers: true, maxAnswersPerLawyer: 50 }));
+        assert.equal(await cache.get(profileUrl, { includeReviews: true }), null);
+
+        await cache.set(profileUrl, { answers: [] }, { includeAnswers: true, maxAnswersPerLawyer: 5 });
+        assert.equal(await cache.get(profileUrl, { includeAnswers: true, maxAnswersPerLawyer: 0 }), null);
+    });
+});
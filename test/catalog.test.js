@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildSearchUrls } from '../src/lib/index.js';
+
+describe('search URL builder', () => {
+    it('combines every practice area with every state', () => {
+        const search = buildSearchUrls({ practiceAreas: ['bankruptcy-debt', 'Criminal Defense'], states: ['al', 'New York'] });
+        assert.deepEqual(search.urls, [
+            'https://www.avvo.com/bankruptcy-debt-lawyer/al.html',
+            'https://www.avvo.com/bankruptcy-debt-lawyer/ny.html',
+            'https://www.avvo.com/criminal-defense-lawyer/al.html',
+            'https://www.avvo.com/criminal-defense-lawyer/ny.html',
+        ]);
+        assert.deepEqual(search.practiceAreas, ['bankruptcy-debt', 'criminal-defense']);
+        assert.deepEqual(search.states, ['al', 'ny']);
+    });
+
+    it('applies plain cities to every state and qualified cities to their own state', () => {
+        const search = buildSearchUrls({
+            practiceAreas: 'bankruptcy-debt',
+            states: ['al', 'ga'],
+            cities: ['Birmingham, AL', 'Augusta'],
+        });
+        assert.deepEqual(search.urls, [
+            'https://www.avvo.com/bankruptcy-debt-lawyer/al/birmingham.html',
+            'https://www.avvo.com/bankruptcy-debt-lawyer/al/augusta.html',
+            'https://www.avvo.com/bankruptcy-debt-lawyer/ga/augusta.html',
+        ]);
+        assert.deepEqual(search.ambiguousCities, ['Augusta']);
+    });
+
+    it('only reports plain cities as ambiguous when several states are selected', () => {
+        const search = buildSearchUrls({ practiceAreas: 'bankruptcy-debt', states: ['al'], cities: ['Birmingham'] });
+        assert.deepEqual(search.urls, ['https://www.avvo.com/bankruptcy-debt-lawyer/al/birmingham.html']);
+        assert.deepEqual(search.ambiguousCities, []);
+    });
+
+    it('reports unknown practice areas, states and city/state combinations', () => {
+        const search = buildSearchUrls({
+            practiceAreas: ['bankruptcy-debt', 'underwater-basket-law'],
+            states: ['al', 'zz'],
+            cities: ['Atlanta, GA'],
+        });
+        assert.deepEqual(search.urls, ['https://www.avvo.com/bankruptcy-debt-lawyer/al.html']);
+        assert.deepEqual(search.unknownPracticeAreas, ['underwater-basket-law']);
+        assert.deepEqual(search.unknownStates, ['zz']);
+        assert.equal(search.unknownCombinations.length, 1);
+    });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applySnapshot, applySnapshotUpdate, diffLawyerRecords, openChunkedMap } from '../src/lib/index.js';
+
+const janeUrl = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html';
+const johnUrl = 'https://www.avvo.com/attorneys/35203-al-john-doe-102.html';
+
+function memoryStore() {
+    const values = new Map();
+    return {
+        values,
+        getValue: async (key) => values.get(key) ?? null,
+        setValue: async (key, value) => {
+            if (value === null) values.delete(key);
+            else values.set(key, value);
+        },
+    };
+}
+
+function emptyStats() {
+    return { newLawyers: 0, modifiedLawyers: 0, unchangedLawyers: 0 };
+}
+
+describe('record diffs', () => {
+    it('reports scalar changes and the items added to or removed from arrays', () => {
+        const previous = { name: 'Jane Roe', rating: 8.9, practiceAreas: ['Bankruptcy', 'Family'], scrapedAt: '2026-01-01' };
+        const current = { name: 'Jane Roe', rating: 9.2, practiceAreas: ['Bankruptcy', 'Tax'], scrapedAt: '2026-02-01' };
+        assert.deepEqual(diffLawyerRecords(previous, current), {
+            rating: { previous: 8.9, current: 9.2 },
+            practiceAreas: {
+                previous: ['Bankruptcy', 'Family'],
+                current: ['Bankruptcy', 'Tax'],
+                added: ['Tax'],
+                removed: ['Family'],
+            },
+        });
+    });
+
+    it('does not count a reordered array as a change', () => {
+        const previous = { practiceAreas: ['Bankruptcy', 'Family'], offices: [{ city: 'Birmingham' }, { city: 'Hoover' }] };
+        const current = { practiceAreas: ['Family', 'Bankruptcy'], offices: [{ city: 'Hoover' }, { city: 'Birmingham' }] };
+        assert.deepEqual(diffLawyerRecords(previous, current), {});
+    });
+});
+
+describe('snapshots', () => {
+    it('outputs new and modified lawyers and only counts unchanged ones', () => {
+        const snapshot = {
+            previous: new Map([
+                [janeUrl, { name: 'Jane Roe', profileUrl: janeUrl, rating: 9 }],
+                [johnUrl, { name: 'John Doe', profileUrl: johnUrl, rating: 8 }],
+            ]),
+            current: new Map(),
+        };
+        const stats = emptyStats();
+        const newcomerUrl = 'https://www.avvo.com/attorneys/35203-al-ann-lee-103.html';
+
+        const changed = applySnapshot([
+            { name: 'Jane Roe', profileUrl: janeUrl, rating: 9.5 },
+            { name: 'John Doe', profileUrl: johnUrl, rating: 8 },
+            { name: 'Ann Lee', profileUrl: newcomerUrl, rating: 7 },
+        ], { snapshot, stats });
+
+        assert.deepEqual(changed.map(({ profileUrl, changeType }) => [profileUrl, changeType]), [
+            [janeUrl, 'modified'],
+            [newcomerUrl, 'new'],
+        ]);
+        assert.deepEqual(changed[0].changes, { rating: { previous: 9, current: 9.5 } });
+        assert.deepEqual(stats, { newLawyers: 1, modifiedLawyers: 1, unchangedLawyers: 1 });
+        assert.deepEqual([...snapshot.current.keys()], [janeUrl, johnUrl, newcomerUrl]);
+    });
+
+    it('keeps the previous key when the profile slug changed', () => {
+        const renamedUrl = 'https://www.avvo.com/attorneys/35244-al-jane-a-roe-101.html';
+        const snapshot = { previous: new Map([[janeUrl, { name: 'Jane Roe', profileUrl: janeUrl }]]), current: new Map() };
+
+        const changed = applySnapshot([{ name: 'Jane Roe', profileUrl: renamedUrl }], { snapshot, stats: emptyStats() });
+        assert.deepEqual(changed[0].changes, { profileUrl: { previous: janeUrl, current: renamedUrl } });
+        assert.deepEqual([...snapshot.current.keys()], [janeUrl]);
+    });
+
+    it('leaves the lawyers missing from this run for removal detection', () => {
+        const snapshot = {
+            previous: new Map([[janeUrl, { name: 'Jane Roe', profileUrl: janeUrl }], [johnUrl, { name: 'John Doe', profileUrl: johnUrl }]]),
+            current: new Map(),
+        };
+        applySnapshot([{ name: 'Jane Roe', profileUrl: janeUrl }], { snapshot, stats: emptyStats() });
+        assert.deepEqual([...snapshot.previous.keys()].filter((key) => !snapshot.current.has(key)), [johnUrl]);
+    });
+
+    it('diffs merged updates again without counting the lawyer twice', () => {
+        const snapshot = { previous: new Map([[janeUrl, { name: 'Jane Roe', profileUrl: janeUrl, practiceAreas: ['Bankruptcy'] }]]), current: new Map() };
+        const stats = emptyStats();
+        const jane = { name: 'Jane Roe', profileUrl: janeUrl, practiceAreas: ['Bankruptcy'] };
+        assert.deepEqual(applySnapshot([jane], { snapshot, stats }), []);
+
+        const update = applySnapshotUpdate({ ...jane, practiceAreas: ['Bankruptcy', 'Tax'] }, { snapshot, stats });
+        assert.equal(update.changeType, 'modified');
+        assert.deepEqual(update.changes.practiceAreas.added, ['Tax']);
+        assert.deepEqual(stats, { newLawyers: 0, modifiedLawyers: 1, unchangedLawyers: 0 });
+        assert.deepEqual(snapshot.current.get(janeUrl).practiceAreas, ['Bankruptcy', 'Tax']);
+    });
+});
+
+describe('chunked snapshot storage', () => {
+    it('splits entries over several records and only rewrites changed chunks', async () => {
+        const store = memoryStore();
+        const map = await openChunkedMap(store, 'SNAPSHOT', { chunkSize: 2 });
+        ['a', 'b', 'c'].forEach((key) => map.set(key, { key }));
+        await map.save();
+        assert.deepEqual([...store.values.keys()].sort(), ['SNAPSHOT', 'SNAPSHOT-1', 'SNAPSHOT-2']);
+
+        const writes = [];
+        const { setValue } = store;
+        store.setValue = async (key, value) => {
+            writes.push(key);
+            await setValue(key, value);
+        };
+        map.set('c', { key: 'c', rating: 9 });
+        await map.save();
+        assert.deepEqual(writes, ['SNAPSHOT-2', 'SNAPSHOT']);
+
+        const reopened = await openChunkedMap(store, 'SNAPSHOT', { chunkSize: 2 });
+        assert.deepEqual([...reopened.entries()], [['a', { key: 'a' }], ['b', { key: 'b' }], ['c', { key: 'c', rating: 9 }]]);
+    });
+
+    it('drops chunks left over from a larger map and reads snapshots saved as one record', async () => {
+        const store = memoryStore();
+        const map = await openChunkedMap(store, 'SNAPSHOT', { chunkSize: 1 });
+        ['a', 'b', 'c'].forEach((key) => map.set(key, { key }));
+        await map.save();
+
+        const replaced = await openChunkedMap(store, 'SNAPSHOT', { chunkSize: 1, replace: true });
+        replaced.set('a', { key: 'a' });
+        await replaced.save();
+        assert.deepEqual([...store.values.keys()].sort(), ['SNAPSHOT', 'SNAPSHOT-1']);
+
+        await store.setValue('LEGACY', { [janeUrl]: { name: 'Jane Roe' } });
+        const legacy = await openChunkedMap(store, 'LEGACY');
+        assert.deepEqual(legacy.get(janeUrl), { name: 'Jane Roe' });
+    });
+});
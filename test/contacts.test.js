@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { normalizeEmail, normalizeExternalWebsite, normalizePhone } from '../src/lib/index.js';
+
+describe('contact normalization', () => {
+    it('normalizes US phones to E.164 and splits the extension', () => {
+        assert.deepEqual(normalizePhone('(205) 555-0123 ext. 42'), { value: '+12055550123', extension: '42', valid: true });
+        assert.deepEqual(normalizePhone('tel:+1-713-555-0301'), { value: '+17135550301', extension: '', valid: true });
+        assert.deepEqual(normalizePhone('+44 20 7946 0958'), { value: '+442079460958', extension: '', valid: true });
+        assert.equal(normalizePhone('555-0123').valid, false);
+        assert.equal(normalizePhone('(055) 555-0123').valid, false);
+    });
+
+    it('accepts lawyer emails and rejects directory and placeholder addresses', () => {
+        assert.equal(normalizeEmail('mailto:Jane@RoeLaw.com?subject=Hi'), 'jane@roelaw.com');
+        assert.equal(normalizeEmail('mailto:jane%40roelaw.com'), 'jane@roelaw.com');
+        assert.equal(normalizeEmail('support@avvo.com'), '');
+        assert.equal(normalizeEmail('noreply@roelaw.com'), '');
+        assert.equal(normalizeEmail('logo@2x.png'), '');
+        assert.equal(normalizeEmail('not an email'), '');
+    });
+
+    it('canonicalizes websites and resolves redirect wrappers', () => {
+        const base = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html';
+        assert.equal(
+            normalizeExternalWebsite('https://roelaw.com/contact?utm_source=avvo&page=2#form', base),
+            'https://roelaw.com/contact?page=2'
+        );
+        assert.equal(
+            normalizeExternalWebsite('/redirect?url=https%3A%2F%2Froelaw.com%2F%3Fgclid%3Dabc', base),
+            'https://roelaw.com/'
+        );
+        assert.equal(normalizeExternalWebsite('https://www.google.com/url?q=https://roelaw.com/', base), 'https://roelaw.com/');
+        assert.equal(normalizeExternalWebsite('/attorneys/35203-al-jane-roe-101.html', base), '');
+        assert.equal(normalizeExternalWebsite('mailto:jane@roelaw.com', base), '');
+    });
+});
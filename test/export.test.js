@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildExportRows, flattenRecord, PROVENANCE_FIELD, serializeExport, toCsv } from '../src/lib/index.js';
+
+const record = {
+    name: 'Jane "JR" Roe',
+    practiceAreas: ['Bankruptcy', 'Debt Relief'],
+    coordinates: { latitude: 33.5, longitude: -86.8 },
+    offices: [
+        { firmName: 'Roe Law', city: 'Birmingham', state: 'AL', primary: true },
+        { firmName: 'Roe Law', city: 'Hoover', state: 'AL', primary: false },
+    ],
+    reviews: [],
+    [PROVENANCE_FIELD]: { name: { source: 'listing:api' } },
+};
+
+describe('flat export', () => {
+    it('flattens nested objects into dotted columns and joins arrays', () => {
+        assert.deepEqual(flattenRecord(record, { delimiter: ' | ' }), {
+            name: 'Jane "JR" Roe',
+            practiceAreas: 'Bankruptcy | Debt Relief',
+            'coordinates.latitude': 33.5,
+            'coordinates.longitude': -86.8,
+            offices: 'Roe Law, Birmingham, AL, true | Roe Law, Hoover, AL, false',
+            reviews: '',
+        });
+    });
+
+    it('writes one row per office or practice area', () => {
+        const officeRows = buildExportRows([record], { explode: 'offices' });
+        assert.deepEqual(officeRows.map((row) => [row.officeIndex, row['office.city']]), [[1, 'Birmingham'], [2, 'Hoover']]);
+        assert.equal(officeRows[0].practiceAreas, 'Bankruptcy; Debt Relief');
+
+        const areaRows = buildExportRows([record, { name: 'No Areas' }], { explode: 'practiceAreas' });
+        assert.deepEqual(areaRows.map((row) => [row.name, row.practiceArea]), [
+            ['Jane "JR" Roe', 'Bankruptcy'],
+            ['Jane "JR" Roe', 'Debt Relief'],
+            ['No Areas', undefined],
+        ]);
+    });
+
+    it('quotes CSV cells and unions columns across rows', () => {
+        const csv = toCsv([{ name: 'A, B', rating: 9 }, { name: 'Line\nbreak', email: 'c@d.com' }]);
+        assert.equal(csv, '\uFEFFname,rating,email\r\n"A, B",9,\r\n"Line\nbreak",,c@d.com\r\n');
+    });
+
+    it('serializes JSONL and rejects unknown formats', () => {
+        const { body, contentType } = serializeExport([{ name: 'A' }, { name: 'B' }], 'jsonl');
+        assert.equal(body, '{"name":"A"}\n{"name":"B"}\n');
+        assert.match(contentType, /ndjson/);
+        assert.throws(() => serializeExport([], 'xlsx'), /Unknown export format/);
+    });
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { listFixtures, readFixture, runExtractorAt } from './helpers/fixtures.js';
+
+const fixtures = listFixtures();
+
+describe('extractor fixtures', () => {
+    it('has at least one listing and one profile fixture', () => {
+        assert.ok(fixtures.some((fixture) => fixture.type === 'listing'));
+        assert.ok(fixtures.some((fixture) => fixture.type === 'profile'));
+    });
+
+    for (const fixture of fixtures) {
+        it(`${fixture.name} matches the expected normalized output`, () => {
+            assert.ok(
+                existsSync(fixture.expectedPath),
+                `Missing ${fixture.name}.expected.json - run "npm run fixtures:capture -- --update"`
+            );
+            const { html, expected } = readFixture(fixture);
+            const actual = runExtractorAt(expected.capturedAt, fixture.type, html, expected.url);
+            assert.deepEqual(actual, expected.output);
+        });
+    }
+});
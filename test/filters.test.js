@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { buildLawyerFilters, findFailedFilter, mergeProfileData, normalizeLawyer, parseLawyerProfile } from '../src/lib/index.js';
+
+const lawyer = {
+    name: 'Jane Roe',
+    avvoRating: 8.8,
+    clientRating: 4.6,
+    reviewCount: 12,
+    practiceAreas: ['Bankruptcy & Debt', 'Foreclosure'],
+    languages: ['English', 'Spanish'],
+    licenseYear: 2005,
+    phone: '(205) 555-0100',
+    email: null,
+    website: null,
+};
+
+describe('lawyer filters', () => {
+    it('returns null when no filter is set', () => {
+        assert.equal(buildLawyerFilters({ maxLawyers: 10, requireEmail: false }), null);
+    });
+
+    it('passes lawyers matching every filter', () => {
+        const filters = buildLawyerFilters({
+            minAvvoRating: '8.5',
+            minClientRating: '4.5',
+            minReviewCount: 10,
+            minYearsLicensed: 10,
+            requiredLanguages: ['spanish'],
+            requiredPracticeAreas: ['bankruptcy-debt', 'family'],
+            requirePhone: true,
+        });
+        assert.equal(findFailedFilter(lawyer, filters), null);
+    });
+
+    it('reports the first failed filter', () => {
+        assert.equal(findFailedFilter(lawyer, buildLawyerFilters({ maxAvvoRating: '8' })), 'maxAvvoRating');
+        assert.equal(findFailedFilter(lawyer, buildLawyerFilters({ requiredLanguages: ['French'] })), 'requiredLanguages');
+        assert.equal(findFailedFilter(lawyer, buildLawyerFilters({ requiredPracticeAreas: ['Family'] })), 'requiredPracticeAreas');
+    });
+
+    it('only tolerates missing fields when asked to', () => {
+        const filters = buildLawyerFilters({ requireEmail: true });
+        assert.equal(findFailedFilter(lawyer, filters, { allowMissing: true }), null);
+        assert.equal(findFailedFilter(lawyer, filters), 'requireEmail');
+    });
+
+    it('waits for the profile when a listing record has no review count', () => {
+        const listed = normalizeLawyer({ name: 'Jane Roe', profileUrl: 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html' });
+        const filters = buildLawyerFilters({ minReviewCount: 5 });
+        assert.equal(listed.reviewCount, null);
+        assert.equal(findFailedFilter(listed, filters, { allowMissing: true }), null);
+        assert.equal(findFailedFilter({ ...listed, reviewCount: 0 }, filters, { allowMissing: true }), 'minReviewCount');
+    });
+
+    it('checks languages again once the profile has been merged', () => {
+        const profileUrl = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html';
+        const listed = normalizeLawyer({ name: 'Jane Roe', profileUrl });
+        const filters = buildLawyerFilters({ requiredLanguages: ['spanish'] });
+        assert.equal(findFailedFilter(listed, filters, { allowMissing: true }), null);
+
+        const html = readFileSync(new URL('./fixtures/profile-html-only.html', import.meta.url), 'utf8');
+        const enriched = mergeProfileData(listed, parseLawyerProfile(html, profileUrl, { includeReviews: false }));
+        assert.deepEqual(enriched.languages, ['English', 'Spanish']);
+        assert.equal(findFailedFilter(enriched, filters), null);
+        assert.equal(findFailedFilter(enriched, buildLawyerFilters({ requiredLanguages: ['french'] })), 'requiredLanguages');
+    });
+});
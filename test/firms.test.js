@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { addLawyerToFirm, buildFirmRecords, normalizeFirm } from '../src/lib/index.js';
+
+const baseUrl = 'https://www.avvo.com/bankruptcy-debt-lawyer/al.html';
+
+function lawyerAt(firm, overrides) {
+    return { firm, practiceAreas: [], avvoRating: null, clientRating: null, reviewCount: null, ...overrides };
+}
+
+describe('firm normalization', () => {
+    it('ignores legal suffixes in the firm id', () => {
+        assert.equal(normalizeFirm('Roe & Doe Law Group, PLLC', baseUrl).id, normalizeFirm({ name: 'Roe & Doe' }, baseUrl).id);
+        assert.equal(normalizeFirm({ name: '' }, baseUrl), null);
+    });
+});
+
+describe('firm aggregation', () => {
+    it('rolls lawyers of the same firm up into one record', () => {
+        const firms = {};
+        const firm = normalizeFirm({ name: 'Roe & Doe LLC', numberOfEmployees: 12 }, baseUrl);
+        const smallFirm = normalizeFirm('Smith Legal', baseUrl);
+
+        addLawyerToFirm(lawyerAt(firm, {
+            profileUrl: 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html',
+            practiceAreas: ['Bankruptcy & Debt', 'Family'],
+            avvoRating: 9.2,
+            clientRating: 4.8,
+            reviewCount: 30,
+        }), { firms });
+        addLawyerToFirm(lawyerAt({ ...firm, name: 'Roe & Doe, L.L.C.' }, {
+            profileUrl: 'https://www.avvo.com/attorneys/35203-al-john-doe-102.html',
+            website: 'https://roedoe.example.com/',
+            practiceAreas: ['Bankruptcy & Debt'],
+            avvoRating: 8.5,
+            reviewCount: null,
+        }), { firms });
+        addLawyerToFirm(lawyerAt(smallFirm, { name: 'Sam Smith' }), { firms });
+        addLawyerToFirm(lawyerAt(null, { name: 'Solo Practitioner' }), { firms });
+
+        const [roeDoe, smith] = buildFirmRecords(firms);
+        assert.equal(Object.keys(firms).length, 2);
+        assert.deepEqual({ ...roeDoe, scrapedAt: undefined }, {
+            firmId: firm.id,
+            name: 'Roe & Doe LLC',
+            website: 'https://roedoe.example.com/',
+            address: null,
+            size: 12,
+            attorneyCount: 2,
+            attorneys: [
+                'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html',
+                'https://www.avvo.com/attorneys/35203-al-john-doe-102.html',
+            ],
+            practiceAreas: ['Bankruptcy & Debt', 'Family'],
+            averageAvvoRating: 8.85,
+            averageClientRating: 4.8,
+            totalReviews: 30,
+            scrapedAt: undefined,
+        });
+        assert.deepEqual(smith.attorneys, ['Sam Smith']);
+        assert.equal(smith.averageAvvoRating, null);
+        assert.equal(smith.totalReviews, 0);
+    });
+});
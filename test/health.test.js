@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    createHealthState,
+    evaluateHealth,
+    findDriftedFields,
+    recordFillRates,
+    updateBaseline,
+} from '../src/lib/index.js';
+
+const complete = { name: 'Jane Roe', rating: 9.1, email: 'jane@roelaw.com', practiceAreas: ['Bankruptcy & Debt'] };
+const withoutEmail = { ...complete, email: '' };
+
+function runWith(records) {
+    const health = createHealthState();
+    recordFillRates(records, { health, scope: 'output' });
+    return health;
+}
+
+describe('extraction health', () => {
+    it('computes fill rates and learns a baseline', () => {
+        const health = runWith(Array(20).fill(complete));
+        const baseline = updateBaseline(null, health);
+        assert.equal(baseline.runs, 1);
+        assert.equal(baseline.scopes.output.fillRates.email, 1);
+        assert.equal(baseline.scopes.output.fillRates.bio, 0);
+        assert.equal(updateBaseline(baseline, runWith([complete])), null);
+    });
+
+    it('marks the run degraded when a field drops sharply', () => {
+        const baseline = updateBaseline(null, runWith(Array(20).fill(complete)));
+        const report = evaluateHealth(runWith([...Array(15).fill(withoutEmail), ...Array(5).fill(complete)]), baseline);
+        assert.equal(report.status, 'degraded');
+        assert.deepEqual(report.scopes.output.drops, [{ field: 'email', baseline: 1, current: 0.25 }]);
+
+        assert.equal(evaluateHealth(runWith(Array(20).fill(complete)), baseline).status, 'healthy');
+        assert.equal(evaluateHealth(runWith([withoutEmail]), baseline).status, 'insufficientData');
+    });
+
+    it('flags pages missing fields the baseline always has', () => {
+        const baseline = updateBaseline(null, runWith(Array(20).fill(complete)));
+        const rates = baseline.scopes.output.fillRates;
+        assert.deepEqual(findDriftedFields([withoutEmail, { ...withoutEmail, rating: null }], rates), ['email']);
+        assert.deepEqual(findDriftedFields([withoutEmail, complete], rates), []);
+    });
+});
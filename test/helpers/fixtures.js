@@ -0,0 +1,49 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { mock } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { extractListingLawyers, parseLawyerProfile } from '../../src/lib/index.js';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export const FIXTURE_TYPES = ['listing', 'profile'];
+
+// Fixtures are pairs: <type>-<name>.html and <type>-<name>.expected.json
+export function listFixtures() {
+    return readdirSync(FIXTURES_DIR)
+        .filter((file) => file.endsWith('.html'))
+        .map((file) => {
+            const name = file.replace(/\.html$/, '');
+            return {
+                name,
+                type: name.split('-')[0],
+                htmlPath: join(FIXTURES_DIR, file),
+                expectedPath: join(FIXTURES_DIR, `${name}.expected.json`),
+            };
+        })
+        .filter((fixture) => FIXTURE_TYPES.includes(fixture.type));
+}
+
+export function runExtractor(type, html, url) {
+    if (type === 'listing') return extractListingLawyers(html, url);
+    if (type === 'profile') return parseLawyerProfile(html, url, { includeReviews: true });
+    throw new Error(`Unknown fixture type "${type}", expected one of: ${FIXTURE_TYPES.join(', ')}`);
+}
+
+// Extractors stamp scrapedAt and derive license years from "Licensed for N years", so pin the clock
+export function runExtractorAt(capturedAt, type, html, url) {
+    mock.timers.enable({ apis: ['Date'], now: new Date(capturedAt) });
+    try {
+        return JSON.parse(JSON.stringify(runExtractor(type, html, url)));
+    } finally {
+        mock.timers.reset();
+    }
+}
+
+export function readFixture(fixture) {
+    return {
+        html: readFileSync(fixture.htmlPath, 'utf-8'),
+        expected: JSON.parse(readFileSync(fixture.expectedPath, 'utf-8')),
+    };
+}
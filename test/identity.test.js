@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    applySnapshot,
+    createIdentityIndex,
+    mergeLawyerRecords,
+    nameKeyFor,
+    profileIdFromUrl,
+} from '../src/lib/index.js';
+
+const profileUrl = 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html';
+
+describe('identity resolution', () => {
+    it('reads the profile ID regardless of slug, scheme and query string', () => {
+        assert.equal(profileIdFromUrl(profileUrl), '101');
+        assert.equal(profileIdFromUrl('http://avvo.com/attorney/35244-al-jane-roe-esq-101.html?utm_source=x'), '101');
+        assert.equal(profileIdFromUrl('https://www.avvo.com/bankruptcy-lawyer/al/birmingham.html'), null);
+    });
+
+    it('normalizes names for fuzzy matching', () => {
+        assert.equal(nameKeyFor('Jane A. Roe, Esq.'), 'jane roe');
+        assert.equal(nameKeyFor('JANE ROE JR'), 'jane roe');
+        assert.equal(nameKeyFor('José Núñez'), 'jose nunez');
+        assert.equal(nameKeyFor('Unknown'), null);
+    });
+
+    it('matches URL variants and fuzzy name + phone or city sightings', () => {
+        const index = createIdentityIndex();
+        assert.equal(index.resolve({ name: 'Jane Roe', profileUrl }, profileUrl), null);
+
+        const variant = 'https://www.avvo.com/attorneys/35244-al-jane-a-roe-101.html';
+        assert.equal(index.resolve({ name: 'Jane A. Roe', profileUrl: variant }, variant), profileUrl);
+
+        // Learns the phone from the second sighting, then matches a card without a URL by it
+        index.resolve({ name: 'Jane Roe', profileUrl, phone: '+12055550100' }, profileUrl);
+        assert.equal(index.resolve({ name: 'Jane Roe, Esq.', phone: '(205) 555-0100' }, 'card'), profileUrl);
+    });
+
+    it('keeps namesakes with different profile IDs apart', () => {
+        const index = createIdentityIndex();
+        const other = 'https://www.avvo.com/attorneys/35203-al-jane-roe-202.html';
+        index.resolve({ name: 'Jane Roe', profileUrl, location: 'Birmingham, AL' }, profileUrl);
+        assert.equal(index.resolve({ name: 'Jane Roe', profileUrl: other, location: 'Birmingham, AL' }, other), null);
+        assert.equal(index.size, 2);
+    });
+
+    it('survives a persist and restore round trip', () => {
+        const index = createIdentityIndex();
+        index.resolve({ name: 'Jane Roe', profileUrl }, profileUrl);
+        const restored = createIdentityIndex(JSON.parse(JSON.stringify(index)));
+        assert.equal(restored.resolve({ name: 'Jane Roe', profileUrl: `${profileUrl}?ref=1` }, 'x'), profileUrl);
+    });
+
+    it('matches lawyers known from earlier runs without counting them as duplicates', () => {
+        const profiles = new Map();
+        createIdentityIndex([], { profiles, runId: 'run-1' }).resolve({ name: 'Jane Roe', profileUrl, phone: '+12055550100' }, profileUrl);
+
+        const index = createIdentityIndex([], { profiles, runId: 'run-2' });
+        const card = { name: 'Jane Roe', phone: '(205) 555-0100' };
+        assert.equal(index.keyOf(card), profileUrl);
+        assert.equal(index.resolve(card, 'card'), null);
+        // The profile itself shows up later in the same run and duplicates the card
+        assert.equal(index.resolve({ name: 'Jane Roe', profileUrl }, profileUrl), 'card');
+        assert.equal(profiles.size, 1);
+    });
+});
+
+describe('duplicate merging', () => {
+    it('keeps the richer record, fills its gaps and unions list fields', () => {
+        const listing = { name: 'Jane Roe', profileUrl, rating: null, email: 'jane@roelaw.com', practiceAreas: ['Bankruptcy'] };
+        const richer = {
+            name: 'Jane A. Roe',
+            profileUrl: 'https://www.avvo.com/attorneys/35244-al-jane-a-roe-101.html',
+            rating: 9.1,
+            phone: '+12055550100',
+            practiceAreas: ['Bankruptcy', 'Debt Relief'],
+        };
+        assert.deepEqual(mergeLawyerRecords(listing, richer), {
+            name: 'Jane A. Roe',
+            profileUrl,
+            rating: 9.1,
+            phone: '+12055550100',
+            practiceAreas: ['Bankruptcy', 'Debt Relief'],
+            email: 'jane@roelaw.com',
+        });
+    });
+
+    it('diffs against a snapshot entry stored under another URL of the same profile', () => {
+        const oldUrl = 'https://www.avvo.com/attorneys/35244-al-jane-a-roe-101.html';
+        const snapshot = { previous: new Map([[oldUrl, { name: 'Jane Roe', profileUrl: oldUrl, rating: 9 }]]), current: new Map() };
+        const stats = { newLawyers: 0, modifiedLawyers: 0, unchangedLawyers: 0 };
+
+        const [changed] = applySnapshot([{ name: 'Jane Roe', profileUrl, rating: 9.5 }], { snapshot, stats });
+        assert.equal(changed.changeType, 'modified');
+        assert.deepEqual([...snapshot.current.keys()], [oldUrl]);
+    });
+});
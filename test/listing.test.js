@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import { extractSubdirectoryLinks, filterSubdirectoryLinks } from '../src/lib/index.js';
+
+const stateUrl = 'https://www.avvo.com/bankruptcy-debt-lawyer/al.html?page=2';
+const $ = cheerio.load(`
+    <ul class="cities">
+        <li><a href="/bankruptcy-debt-lawyer/al/birmingham.html">Birmingham</a></li>
+        <li><a href="https://www.avvo.com/bankruptcy-debt-lawyer/al/jefferson_county.html?ref=state">Jefferson County</a></li>
+        <li><a href="/bankruptcy-debt-lawyer/al/mobile.html">Mobile</a></li>
+        <li><a href="/bankruptcy-debt-lawyer/al/birmingham.html#top">Birmingham (again)</a></li>
+    </ul>
+    <a href="/bankruptcy-debt-lawyer/al.html?page=3" rel="next">Next</a>
+    <a href="/bankruptcy-debt-lawyer/ga.html">Georgia</a>
+    <a href="/bankruptcy-debt-lawyer/al/birmingham/downtown.html">Downtown</a>
+    <a href="/attorneys/35203-al-jane-roe-101.html">Jane Roe</a>
+`);
+
+describe('city drill-down links', () => {
+    it('finds city and county pages one level below the listing', () => {
+        assert.deepEqual(extractSubdirectoryLinks($, stateUrl), [
+            { url: 'https://www.avvo.com/bankruptcy-debt-lawyer/al/birmingham.html', slug: 'birmingham', name: 'Birmingham' },
+            { url: 'https://www.avvo.com/bankruptcy-debt-lawyer/al/jefferson_county.html', slug: 'jefferson_county', name: 'Jefferson County' },
+            { url: 'https://www.avvo.com/bankruptcy-debt-lawyer/al/mobile.html', slug: 'mobile', name: 'Mobile' },
+        ]);
+    });
+
+    it('follows the next level from a city page', () => {
+        const links = extractSubdirectoryLinks($, 'https://www.avvo.com/bankruptcy-debt-lawyer/al/birmingham.html');
+        assert.deepEqual(links.map((link) => link.slug), ['downtown']);
+    });
+
+    it('applies include and exclude lists by slug or name', () => {
+        const links = extractSubdirectoryLinks($, stateUrl);
+        const slugs = (filtered) => filtered.map((link) => link.slug);
+        assert.deepEqual(slugs(filterSubdirectoryLinks(links, { include: ['Jefferson County', 'mobile'] })), ['jefferson_county', 'mobile']);
+        assert.deepEqual(slugs(filterSubdirectoryLinks(links, { exclude: ['jefferson-county'] })), ['birmingham', 'mobile']);
+    });
+});
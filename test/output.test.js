@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildOutputShaper } from '../src/lib/index.js';
+
+const record = {
+    name: 'Jane Roe',
+    rating: 8.8,
+    phone: '(205) 555-0100',
+    email: 'jane@example.com',
+    bio: 'Long biography',
+    reviews: [{ rating: 5 }],
+    profileUrl: 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html',
+};
+
+describe('output shaping', () => {
+    it('leaves records untouched by default', () => {
+        assert.equal(buildOutputShaper(), null);
+    });
+
+    it('keeps only the profile fields plus included ones', () => {
+        const shape = buildOutputShaper({ outputProfile: 'contact', fields: ['bio', '-email'] });
+        assert.deepEqual(shape(record), {
+            name: 'Jane Roe',
+            phone: '(205) 555-0100',
+            bio: 'Long biography',
+            profileUrl: record.profileUrl,
+        });
+    });
+
+    it('treats included fields as the full list for the full profile', () => {
+        const shape = buildOutputShaper({ fields: ['name', 'profileUrl'] });
+        assert.deepEqual(shape(record), { name: 'Jane Roe', profileUrl: record.profileUrl });
+    });
+
+    it('keeps change metadata and shapes the diff', () => {
+        const shape = buildOutputShaper({ fields: ['-bio'] });
+        const shaped = shape({
+            ...record,
+            changeType: 'modified',
+            changes: { bio: { previous: 'a', current: 'b' }, phone: { previous: null, current: '1' } },
+        });
+        assert.equal(shaped.changeType, 'modified');
+        assert.deepEqual(shaped.changes, { phone: { previous: null, current: '1' } });
+        assert.equal('bio' in shaped, false);
+    });
+
+    it('rejects unknown profiles', () => {
+        assert.throws(() => buildOutputShaper({ outputProfile: 'tiny' }), /Unknown outputProfile/);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as cheerio from 'cheerio';
+
+import { buildPageUrl, extractPaginationInfo, pageNumberOf, resultSetSignature } from '../src/lib/index.js';
+
+const listingUrl = 'https://www.avvo.com/bankruptcy-debt-lawyer/al.html';
+
+function paginationOf(html, baseUrl, resultsOnPage = 0) {
+    return extractPaginationInfo(cheerio.load(html), html, { baseUrl, resultsOnPage });
+}
+
+describe('pagination info', () => {
+    it('reads the page count from embedded JSON first', () => {
+        const html = `<body>
+            <script id="__NEXT_DATA__" type="application/json">{"props":{"search":{"totalPages":42,"totalCount":415}}}</script>
+            <p>Showing 1-10 of 999 results</p>
+        </body>`;
+        assert.deepEqual(paginationOf(html, listingUrl), { currentPage: 1, totalPages: 42, totalResults: 415 });
+    });
+
+    it('derives the page count from a result range', () => {
+        const html = '<body><p>Showing 11 - 20 of 1,234 lawyers</p></body>';
+        assert.deepEqual(paginationOf(html, `${listingUrl}?page=2`), { currentPage: 2, totalPages: 124, totalResults: 1234 });
+    });
+
+    it('falls back to the highest numbered page link on the same listing', () => {
+        const html = `<body>
+            <a href="/bankruptcy-debt-lawyer/al.html?page=2">2</a>
+            <a href="/bankruptcy-debt-lawyer/al.html?page=7">7</a>
+            <a href="/bankruptcy-debt-lawyer/ga.html?page=90">Georgia</a>
+        </body>`;
+        assert.deepEqual(paginationOf(html, listingUrl), { currentPage: 1, totalPages: 7, totalResults: null });
+    });
+
+    it('reports unknown counts as null', () => {
+        assert.deepEqual(paginationOf('<body><p>No pager here</p></body>', listingUrl), { currentPage: 1, totalPages: null, totalResults: null });
+    });
+});
+
+describe('page URLs', () => {
+    it('sets and clears the page parameter while keeping other parameters', () => {
+        assert.equal(buildPageUrl(`${listingUrl}?sort=rating`, 3), `${listingUrl}?sort=rating&page=3`);
+        assert.equal(buildPageUrl(`${listingUrl}?page=3#results`, 1), listingUrl);
+        assert.equal(pageNumberOf(`${listingUrl}?page=12`), 12);
+        assert.equal(pageNumberOf(listingUrl), 1);
+    });
+});
+
+describe('result set signatures', () => {
+    it('ignores order and tells different pages apart', () => {
+        const jane = { name: 'Jane Roe', profileUrl: 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html' };
+        const john = { name: 'John Doe' };
+        assert.equal(resultSetSignature([jane, john]), resultSetSignature([john, jane]));
+        assert.notEqual(resultSetSignature([jane]), resultSetSignature([john]));
+    });
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { mergeProfileData, PROVENANCE_FIELD, withExtractionSource } from '../src/lib/index.js';
+
+describe('field provenance', () => {
+    it('stamps listing records with their extraction source', () => {
+        const lawyer = withExtractionSource({ name: 'Jane Roe', phone: '', rating: 8.5 }, 'api');
+        assert.deepEqual(lawyer[PROVENANCE_FIELD], {
+            name: { source: 'listing:api', discarded: [] },
+            rating: { source: 'listing:api', discarded: [] },
+        });
+    });
+
+    it('keeps the winning source and lists the losing value after a profile merge', () => {
+        const listing = withExtractionSource({ name: 'Jane Roe', rating: 8.5, location: 'Birmingham, AL' }, 'jsonLd');
+        const profile = {
+            rating: 9.1,
+            [PROVENANCE_FIELD]: { rating: { source: 'profile:jsonLd', discarded: [{ source: 'profile:html:rating', value: 9 }] } },
+        };
+        const merged = mergeProfileData(listing, profile);
+
+        assert.equal(merged.rating, 9.1);
+        assert.deepEqual(merged[PROVENANCE_FIELD].rating, {
+            source: 'profile:jsonLd',
+            discarded: [
+                { source: 'profile:html:rating', value: 9 },
+                { source: 'listing:jsonLd', value: 8.5 },
+            ],
+        });
+        assert.deepEqual(merged[PROVENANCE_FIELD].location, { source: 'listing:jsonLd', discarded: [] });
+    });
+});
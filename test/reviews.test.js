@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { describe, it } from 'node:test';
+
+import { fetchLawyerProfile } from '../src/lib/index.js';
+
+const profileHtml = readFileSync(new URL('./fixtures/profile-json-ld.html', import.meta.url), 'utf-8');
+
+describe('review pages', () => {
+    it('keeps the profile and the reviews collected before a reviews page fails', async () => {
+        const requested = [];
+        const server = createServer((req, res) => {
+            requested.push(req.url);
+            if (req.url.includes('/reviews')) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(profileHtml);
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            const profile = await fetchLawyerProfile(profileUrl, { userAgent: 'test', includeReviews: true, maxReviewsPerLawyer: 0 });
+
+            assert.equal(requested.length, 2);
+            assert.equal(profile.email, 'jane@roebankruptcy.com');
+            assert.ok(profile.bio.startsWith('Jane Roe has helped'));
+            assert.deepEqual(profile.reviews.map((review) => review.author), ['Kevin M.', 'Linda P.']);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { describe, it } from 'node:test';
+import { gzipSync } from 'node:zlib';
+
+import { buildSitemapUrlFilter, collectSitemapUrls, decodeSitemapBody, parseSitemap } from '../src/lib/index.js';
+
+const urlset = (locs) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <url><loc>${loc}</loc><lastmod>2026-01-01</lastmod></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = (locs) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+describe('sitemap parsing', () => {
+    it('tells indexes from url sets and decodes entities', () => {
+        assert.deepEqual(parseSitemap(sitemapIndex(['https://www.avvo.com/sitemaps/a.xml.gz'])), {
+            type: 'index',
+            locs: ['https://www.avvo.com/sitemaps/a.xml.gz'],
+        });
+        assert.deepEqual(parseSitemap(urlset(['https://www.avvo.com/search?a=1&amp;b=2'])).locs, ['https://www.avvo.com/search?a=1&b=2']);
+    });
+
+    it('gunzips compressed sitemaps', () => {
+        assert.equal(decodeSitemapBody(gzipSync('<urlset/>')), '<urlset/>');
+        assert.equal(decodeSitemapBody(Buffer.from('<urlset/>')), '<urlset/>');
+    });
+
+    it('keeps profile URLs in the selected states that match a pattern', () => {
+        const filter = buildSitemapUrlFilter({ states: ['Alabama', 'tx'], patterns: ['/attorneys/35'] });
+        assert.equal(filter('https://www.avvo.com/attorneys/35203-al-jane-roe-101.html'), true);
+        assert.equal(filter('https://www.avvo.com/attorneys/75201-tx-sam-houston-7.html'), false);
+        assert.equal(filter('https://www.avvo.com/attorneys/90001-ca-ann-lee-3.html'), false);
+        assert.equal(filter('https://www.avvo.com/bankruptcy-lawyer/al.html'), false);
+    });
+});
+
+describe('sitemap discovery', () => {
+    it('walks nested and gzipped sitemaps up to the limit', async () => {
+        let origin = '';
+        const bodies = {
+            '/sitemap.xml': () => sitemapIndex([`${origin}/sitemaps/index-2.xml`, `${origin}/sitemaps/missing.xml`]),
+            '/sitemaps/index-2.xml': () => sitemapIndex([`${origin}/sitemaps/profiles-1.xml.gz`, `${origin}/sitemaps/profiles-2.xml.gz`]),
+            '/sitemaps/profiles-1.xml.gz': () => gzipSync(urlset([
+                `${origin}/attorneys/35203-al-jane-roe-101.html`,
+                `${origin}/attorneys/75201-tx-sam-houston-7.html`,
+                `${origin}/bankruptcy-lawyer/al.html`,
+            ])),
+            '/sitemaps/profiles-2.xml.gz': () => gzipSync(urlset([
+                `${origin}/attorneys/36104-al-ann-lee-3.html`,
+                `${origin}/attorneys/35801-al-bo-diaz-4.html`,
+            ])),
+        };
+        const server = createServer((req, res) => {
+            const body = bodies[req.url];
+            res.writeHead(body ? 200 : 404);
+            res.end(body ? body() : '');
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+        origin = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const { urls, sitemapsVisited } = await collectSitemapUrls([`${origin}/sitemap.xml`], {
+                filter: buildSitemapUrlFilter({ states: ['al'] }),
+                limit: 2,
+            });
+            assert.deepEqual(urls, [`${origin}/attorneys/35203-al-jane-roe-101.html`, `${origin}/attorneys/36104-al-ann-lee-3.html`]);
+            assert.equal(sitemapsVisited, 5);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { describe, it } from 'node:test';
+
+import defaultLog from '@apify/log';
+
+import { createThrottle, createWaitBudget, enrichLawyersWithProfiles, setLogger } from '../src/lib/index.js';
+
+const profileHtml = readFileSync(new URL('./fixtures/profile-json-ld.html', import.meta.url), 'utf-8');
+
+describe('adaptive throttle', () => {
+    it('slows down on blocks and recovers once requests are healthy again', () => {
+        const throttle = createThrottle({ windowSize: 10, healthyBlockRate: 0.1 });
+        const changes = [];
+        throttle.onChange(({ multiplier }) => changes.push(multiplier));
+
+        throttle.record(true);
+        throttle.record(true);
+        assert.equal(throttle.multiplier, 4);
+        assert.equal(throttle.delayFor(500), 2000);
+        assert.equal(throttle.concurrencyFor(20), 5);
+
+        // Recovery only starts after the blocks leave the window
+        for (let i = 0; i < 8; i++) throttle.record(false);
+        assert.equal(throttle.multiplier, 4);
+        for (let i = 0; i < 30; i++) throttle.record(false);
+        assert.equal(throttle.multiplier, 1);
+        assert.equal(throttle.concurrencyFor(20), 20);
+        assert.deepEqual(changes.slice(0, 2), [2, 4]);
+        assert.deepEqual(throttle.snapshot(), { requests: 40, blocked: 2, recentBlockRate: 0, multiplier: 1 });
+    });
+
+    it('only counts outcomes when adaptive throttling is off', () => {
+        const throttle = createThrottle({ adaptive: false });
+        throttle.record(true);
+        assert.equal(throttle.multiplier, 1);
+        assert.equal(throttle.snapshot().blocked, 1);
+    });
+
+    it('logs through the logger passed to setLogger', () => {
+        const messages = [];
+        setLogger({ debug() {}, info: (message) => messages.push(message), warning() {}, error() {} });
+        try {
+            createThrottle().record(true);
+        } finally {
+            setLogger(defaultLog);
+        }
+        assert.deepEqual(messages, ['Blocks rising (100% of recent requests) - slowing down x2.0']);
+    });
+
+    it('retries blocked profile pages on a fresh session', async () => {
+        const userAgents = [];
+        const server = createServer((req, res) => {
+            userAgents.push(req.headers['user-agent']);
+            const blocked = req.headers['user-agent'] === 'first-session';
+            res.writeHead(blocked ? 403 : 200, { 'Content-Type': 'text/html' });
+            res.end(blocked ? 'Forbidden' : profileHtml);
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            const throttle = createThrottle({ maxMultiplier: 1 });
+            const [lawyer] = await enrichLawyersWithProfiles([{ name: 'Jane Roe', profileUrl }], {
+                maxConcurrency: 2,
+                userAgent: 'first-session',
+                includeReviews: false,
+                throttle,
+                maxBlockedRetries: 1,
+                blockedRetryDelayMs: 10,
+                newSession: async () => ({ userAgent: 'fresh-session' }),
+            });
+
+            assert.deepEqual(userAgents, ['first-session', 'fresh-session']);
+            assert.ok(lawyer.bio.startsWith('Jane Roe has helped'));
+            assert.deepEqual(throttle.snapshot(), { requests: 2, blocked: 1, recentBlockRate: 0.5, multiplier: 1 });
+        } finally {
+            server.close();
+        }
+    });
+
+    it('stops retrying once the pauses would exceed the wait budget', async () => {
+        let requests = 0;
+        const server = createServer((req, res) => {
+            requests += 1;
+            res.writeHead(403, { 'Content-Type': 'text/html' });
+            res.end('Forbidden');
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            // Pauses of 10 ms and then 20 ms capped to the remaining 5 ms; the third round has no budget left
+            const [lawyer] = await enrichLawyersWithProfiles([{ name: 'Jane Roe', profileUrl }], {
+                maxConcurrency: 1,
+                userAgent: 'test',
+                maxBlockedRetries: 3,
+                blockedRetryDelayMs: 10,
+                maxBlockedRetryWaitMs: 15,
+            });
+
+            assert.equal(requests, 3);
+            assert.deepEqual(lawyer, { name: 'Jane Roe', profileUrl });
+        } finally {
+            server.close();
+        }
+    });
+
+    it('shares one wait budget between enrichment calls', async () => {
+        let requests = 0;
+        const server = createServer((req, res) => {
+            requests += 1;
+            res.writeHead(403, { 'Content-Type': 'text/html' });
+            res.end('Forbidden');
+        });
+        await new Promise((resolve) => {
+            server.listen(0, '127.0.0.1', resolve);
+        });
+
+        try {
+            const profileUrl = `http://127.0.0.1:${server.address().port}/attorneys/35203-al-jane-roe-101.html`;
+            const waitBudget = createWaitBudget(10);
+            const options = { maxConcurrency: 1, userAgent: 'test', maxBlockedRetries: 1, blockedRetryDelayMs: 10, waitBudget };
+            // The first batch uses the whole budget on its retry, the second is not retried
+            await enrichLawyersWithProfiles([{ name: 'Jane Roe', profileUrl }], options);
+            await enrichLawyersWithProfiles([{ name: 'Jane Roe', profileUrl }], options);
+
+            assert.equal(requests, 3);
+            assert.equal(waitBudget.remainingMs, 0);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import {
+    buildCrmPayload,
+    IDEMPOTENCY_HEADER,
+    postWebhook,
+    SIGNATURE_HEADER,
+    signPayload,
+    TIMESTAMP_HEADER,
+} from '../src/lib/index.js';
+
+const lawyer = {
+    name: 'Jane A. Roe, Esq.',
+    email: 'jane@roelaw.com',
+    phone: '+12055550100',
+    website: 'https://roelaw.com/',
+    firm: { name: 'Roe Bankruptcy Law' },
+    offices: [{ street: '100 5th Ave N', city: 'Birmingham', state: 'AL', zip: '35203', primary: true }],
+    profileUrl: 'https://www.avvo.com/attorneys/35203-al-jane-roe-101.html',
+};
+
+// Local stand-in for a webhook receiver: answers with the queued status codes, then 200
+function startReceiver() {
+    const receiver = { requests: [], statuses: [] };
+    receiver.server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    return new Promise((resolve) => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+            resolve(receiver);
+        });
+    });
+}
+
+describe('CRM payload mappers', () => {
+    it('maps lawyers to HubSpot contacts', () => {
+        assert.deepEqual(buildCrmPayload([lawyer], { format: 'hubspot' }), {
+            inputs: [{
+                properties: {
+                    firstname: 'Jane A.',
+                    lastname: 'Roe',
+                    email: 'jane@roelaw.com',
+                    phone: '+12055550100',
+                    website: 'https://roelaw.com/',
+                    company: 'Roe Bankruptcy Law',
+                    jobtitle: 'Attorney',
+                    address: '100 5th Ave N',
+                    city: 'Birmingham',
+                    state: 'AL',
+                    zip: '35203',
+                },
+            }],
+        });
+    });
+
+    it('maps lawyers to Salesforce leads with the required fields', () => {
+        const { records } = buildCrmPayload([{ name: 'Sam Houston' }], { format: 'salesforce' });
+        assert.deepEqual(records[0], {
+            attributes: { type: 'Lead' },
+            FirstName: 'Sam',
+            LastName: 'Houston',
+            Company: 'Sam Houston (Attorney)',
+            Title: 'Attorney',
+            LeadSource: 'Avvo',
+        });
+    });
+});
+
+describe('webhook delivery', () => {
+    let receiver;
+    before(async () => {
+        receiver = await startReceiver();
+    });
+    after(() => receiver.server.close());
+
+    it('signs the body and sends the idempotency key', async () => {
+        receiver.requests.length = 0;
+        const payload = buildCrmPayload([lawyer], { batchId: 'batch-1' });
+        const result = await postWebhook(receiver.url, payload, { secret: 's3cret', idempotencyKey: 'key-1' });
+
+        assert.deepEqual(result, { ok: true, statusCode: 200, attempts: 1 });
+        const [{ headers, body }] = receiver.requests;
+        assert.equal(body, JSON.stringify(payload));
+        assert.equal(headers[IDEMPOTENCY_HEADER.toLowerCase()], 'key-1');
+        const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+        assert.equal(headers[SIGNATURE_HEADER.toLowerCase()], signPayload(body, 's3cret', timestamp));
+    });
+
+    it('retries server errors with the same idempotency key', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(503, 500);
+        const result = await postWebhook(receiver.url, { ping: true }, { idempotencyKey: 'key-2', retryDelayMs: 1 });
+
+        assert.deepEqual(result, { ok: true, statusCode: 200, attempts: 3 });
+        assert.deepEqual(receiver.requests.map(({ headers }) => headers[IDEMPOTENCY_HEADER.toLowerCase()]), ['key-2', 'key-2', 'key-2']);
+    });
+
+    it('does not retry rejected payloads', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(400);
+        const result = await postWebhook(receiver.url, { ping: true }, { retryDelayMs: 1 });
+
+        assert.deepEqual(result, { ok: false, statusCode: 400, attempts: 1 });
+        assert.equal(receiver.requests.length, 1);
+    });
+});